@@ -14,6 +14,16 @@ const fs = require('fs');
 const { chromium } = require('playwright');
 const { ImapFlow } = require('imapflow');
 const { simpleParser } = require('mailparser');
+const { MongoClient } = require('mongodb');
+const ExcelJS = require('exceljs');
+const AdmZip = require('adm-zip');
+const { CronExpressionParser } = require('cron-parser');
+const { parse: csvParse } = require('csv-parse/sync');
+const crypto = require('crypto');
+const { randomUUID } = crypto;
+const { AsyncLocalStorage } = require('async_hooks');
+const { EventEmitter } = require('events');
+const util = require('util');
 
 // ===== tiny env helpers =======================================================
 function bool(v, d = true) { if (v == null || v === '') return d; return /^(true|1|yes|on)$/i.test(String(v)); }
@@ -25,6 +35,112 @@ const ROOT = __dirname;
 const OUT_ROOT = path.join(ROOT, env('OUTPUT_DIR', 'reports'));
 const ERROR_SHOTS = path.join(ROOT, env('ERROR_DIR', 'error_shots'));
 
+// ===== logging ===============================================================
+// log.info(tag, msg, fields?) → one line per entry, tagged with the current
+// run (runId, step, report) when called inside one.
+//   LOG_FORMAT=json    {"ts","level","tag","msg","runId","step",...fields} per line
+//   LOG_FORMAT=pretty  "13:01:02.345 INFO  (1a2b3c4d/mids) [mids] target total { total: 3 }"
+// Default is pretty on a TTY, json otherwise (containers). LOG_LEVEL filters
+// (debug | info | warn | error, default info). Secret env values, URI
+// passwords and fields named like pass/secret/token/key are masked. Inside a
+// run every line also goes to reports/<date>/run-<id>.log (run.logFile).
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const SECRET_ENV_KEYS = ['ELEVATE_PASSWORD', 'IMAP_PASS', 'SMTP_PASS', 'JOB_API_KEY', 'SESSION_KEY', 'TOTP_SECRET'];
+const SECRET_FIELD_RX = /pass(word)?$|secret|token|api_?key|session_?key/i;
+
+function scrubSecrets(text) {
+  let out = maskUri(text);
+  for (const k of SECRET_ENV_KEYS) {
+    const v = process.env[k];
+    if (v && v.length >= 4) out = out.split(v).join('****');
+  }
+  return out;
+}
+
+function logFields(fields) {
+  if (fields == null) return {};
+  if (fields instanceof Error) return { error: fields.message };
+  if (typeof fields !== 'object' || Array.isArray(fields)) return { value: fields };
+  const out = {};
+  for (const [k, v] of Object.entries(fields)) {
+    if (v === undefined) continue;
+    if (v instanceof Error) out[k] = v.message;
+    else out[k] = SECRET_FIELD_RX.test(k) && typeof v === 'string' ? maskSecret(v) : v;
+  }
+  return out;
+}
+
+function formatLog(entry, format) {
+  if (format === 'json') return JSON.stringify(entry);
+  const { ts, level, tag, msg, runId, worker, step, report, ...rest } = entry;
+  const ctx = [runId?.slice(0, 8), worker, step, report].filter(Boolean).join('/');
+  const extra = Object.keys(rest).length ? ` ${util.inspect(rest, { breakLength: Infinity, depth: 4 })}` : '';
+  return `${ts.slice(11, 23)} ${level.toUpperCase().padEnd(5)} ${ctx ? `(${ctx}) ` : ''}[${tag}] ${msg}${extra}`;
+}
+
+// per-run log files: runId → { file, pending } (lines are held until the output dir is known)
+const runLogs = new Map();
+
+function writeLog(level, tag, msg, fields) {
+  if (LOG_LEVELS[level] < (LOG_LEVELS[env('LOG_LEVEL', 'info').toLowerCase()] ?? LOG_LEVELS.info)) return;
+  const run = currentRun();
+  const worker = currentWorker()?.id;
+  const step = run && currentStep(run);
+  const open = step && step.ms == null ? step : null;
+  const entry = {
+    ts: new Date().toISOString(), level, tag, msg: String(msg ?? ''),
+    ...(run ? { runId: run.id, ...(worker ? { worker } : {}), step: open?.name ?? null, ...(open?.report ? { report: open.report } : {}) } : {}),
+  };
+  // caller fields never replace the keys above
+  for (const [k, v] of Object.entries(logFields(fields))) if (!(k in entry)) entry[k] = v;
+  const line = scrubSecrets(formatLog(entry, env('LOG_FORMAT', process.stdout.isTTY ? 'pretty' : 'json').toLowerCase()));
+  (LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+
+  const rl = run && runLogs.get(run.id);
+  if (!rl) return;
+  if (!rl.file) { rl.pending.push(line); return; }
+  try { fs.appendFileSync(rl.file, `${line}\n`); } catch {}
+  // parallel workers also get their own file: run-<id>-w2.log
+  if (worker) { try { fs.appendFileSync(rl.file.replace(/\.log$/, `-${worker}.log`), `${line}\n`); } catch {} }
+}
+
+const log = {
+  debug: (tag, msg, fields) => writeLog('debug', tag, msg, fields),
+  info:  (tag, msg, fields) => writeLog('info', tag, msg, fields),
+  warn:  (tag, msg, fields) => writeLog('warn', tag, msg, fields),
+  error: (tag, msg, fields) => writeLog('error', tag, msg, fields),
+};
+
+function openRunLog(run) {
+  runLogs.set(run.id, { file: null, pending: [] });
+}
+// once the run's output dir is known: create its log file and flush what was held
+function attachRunLog(run, dir) {
+  const rl = runLogs.get(run.id);
+  if (!rl || rl.file) return;
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, `run-${run.id}.log`);
+    fs.appendFileSync(file, rl.pending.map(l => `${l}\n`).join(''));
+    rl.file = run.logFile = file;
+    rl.pending = [];
+  } catch (e) {
+    process.stderr.write(`[log] cannot write run log in ${dir}: ${e?.message || e}\n`);
+  }
+}
+// everything this run has logged so far
+function runLogText(run) {
+  const rl = runLogs.get(run.id);
+  const file = rl?.file || run.logFile;
+  if (file) { try { return fs.readFileSync(file, 'utf-8'); } catch {} }
+  return rl ? rl.pending.map(l => `${l}\n`).join('') : '';
+}
+// a run that failed before choosing its output dir logs under today's folder
+function closeRunLog(run) {
+  if (!runLogs.get(run.id)?.file) attachRunLog(run, dayDirFor(new Date()));
+  runLogs.delete(run.id);
+}
+
 // ===== date helpers (America/New_York) =======================================
 const DATE_TZ = env('DATE_TZ', 'America/New_York');
 function nyParts(date) {
@@ -78,8 +194,8 @@ function parseRangeFromEnv() {
   const s = env('START', '');
   const e = env('END', '');
   if (s || e) {
-    const S = s ? new Date(s) : new Date();
-    const E = e ? new Date(e) : S;
+    const S = s ? parseDay(s) : new Date();
+    const E = e ? parseDay(e) : S;
     if (isNaN(+S)) throw new Error(`Invalid START date: ${s}`);
     if (isNaN(+E)) throw new Error(`Invalid END date: ${e}`);
     return { start: S, end: E };
@@ -97,12 +213,162 @@ function fmtYYYY_MM_DD(d) {
   const pad = (n) => String(n).padStart(2,'0');
   return `${y}-${pad(m)}-${pad(dd)}`;
 }
+// "2025-09-02" → noon UTC that day, so it stays on the same calendar day in DATE_TZ
+// (new Date('2025-09-02') is UTC midnight, i.e. the evening before in NY)
+function parseDay(s) {
+  const m = String(s).trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!m) return new Date(s);
+  const d = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3], 12, 0, 0));
+  return d.getUTCMonth() === +m[2] - 1 && d.getUTCDate() === +m[3] ? d : new Date(NaN); // no 2025-02-30
+}
+
+// ===== per-run parameters ====================================================
+// POST /run body (and main(params)) — env values are only the defaults.
+//   { start, end }   YYYY-MM-DD (or anything Date can parse)
+//   mode             instead of start/end: today | yesterday | yesterday_to_today | y2t
+//   mids             ["8401…", …] or "8401…,8401…"
+//   group            active registry merchants with a matching "group"
+//   tag              active registry merchants carrying this tag
+//   all              true → every active registry merchant (default: MIDS env, else all active)
+//   emailTo          ["a@x.com", …] or "a@x.com,b@x.com"; [] = don't email
+//   format           output formats, ["xlsx", "csv", "json"] or "xlsx,csv" (default OUTPUT_FORMAT or xlsx);
+//                    the XLSX is always saved — the list picks what gets written and attached
+//   splitBy          none | merchant | dba | group — extra per-merchant/DBA/group files (see "split export")
+//   reports          ["net-ach", …] — reports.json keys, pulled in one session (default REPORTS or net-ach)
+const DATE_MODES = ['today', 'yesterday', 'yesterday_to_today', 'y2t'];
+const OUTPUT_FORMATS = ['xlsx', 'csv', 'json'];
+const SPLIT_MODES = ['none', 'merchant', 'dba', 'group'];
+const RUN_PARAM_KEYS = ['start', 'end', 'mode', 'mids', 'group', 'tag', 'all', 'emailTo', 'format', 'splitBy', 'reports'];
+
+function listParam(v) {
+  if (v == null || v === '') return [];
+  const arr = Array.isArray(v) ? v : String(v).split(',');
+  return arr.map(s => String(s).trim()).filter(Boolean);
+}
+
+// Returns { params, errors } — params only holds fields that were given and valid.
+function validateRunParams(body) {
+  if (body == null) body = {};
+  if (typeof body !== 'object' || Array.isArray(body)) {
+    return { params: {}, errors: ['body must be a JSON object'] };
+  }
+  const params = {};
+  const errors = [];
+  const given = (k) => body[k] != null && body[k] !== '';
+
+  for (const k of Object.keys(body)) {
+    if (!RUN_PARAM_KEYS.includes(k)) errors.push(`unknown field: ${k}`);
+  }
+
+  for (const k of ['start', 'end']) {
+    if (!given(k)) continue;
+    if (isNaN(+parseDay(body[k]))) errors.push(`${k} is not a valid date: ${body[k]}`);
+    else params[k] = String(body[k]).trim();
+  }
+  if (params.start && params.end && +parseDay(params.end) < +parseDay(params.start)) {
+    errors.push('end is before start');
+  } else if (params.end && !params.start && fmtYYYY_MM_DD(parseDay(params.end)) < fmtYYYY_MM_DD(new Date())) {
+    errors.push('end is before start (start defaults to today — pass start too)');
+  }
+
+  if (given('mode')) {
+    const mode = String(body.mode).trim().toLowerCase();
+    if (!DATE_MODES.includes(mode)) errors.push(`mode must be one of: ${DATE_MODES.join(', ')}`);
+    else if (given('start') || given('end')) errors.push('pass either mode or start/end, not both');
+    else params.mode = mode;
+  }
+
+  if (given('mids')) {
+    const mids = listParam(body.mids);
+    const bad = mids.filter(m => !/^\d{6,}$/.test(m));
+    if (bad.length) errors.push(`mids must be numeric MIDs: ${bad.join(', ')}`);
+    else if (mids.length) params.mids = uniqueMids(mids);
+  }
+  const targets = ['mids', 'group', 'tag', 'all'].filter(k => k === 'all' ? body.all === true : given(k));
+  if (targets.length > 1) errors.push(`pass only one of mids, group, tag or all (got ${targets.join(', ')})`);
+  else {
+    if (given('group')) params.group = String(body.group).trim();
+    if (given('tag')) params.tag = String(body.tag).trim();
+  }
+  if (body.all != null && typeof body.all !== 'boolean') errors.push('all must be true or false');
+  else if (body.all === true && targets.length === 1) params.all = true;
+
+  if (body.emailTo != null) {
+    const to = listParam(body.emailTo);
+    const bad = to.filter(a => !/^[^\s@,]+@[^\s@,]+$/.test(a));
+    if (bad.length) errors.push(`emailTo has invalid addresses: ${bad.join(', ')}`);
+    else params.emailTo = to;
+  }
+
+  if (given('format')) {
+    const formats = [...new Set(listParam(body.format).map(f => f.toLowerCase()))];
+    const bad = formats.filter(f => !OUTPUT_FORMATS.includes(f));
+    if (bad.length || !formats.length) errors.push(`format must be one or more of: ${OUTPUT_FORMATS.join(', ')}`);
+    else params.format = formats;
+  }
+
+  if (given('splitBy')) {
+    const splitBy = String(body.splitBy).trim().toLowerCase();
+    if (!SPLIT_MODES.includes(splitBy)) errors.push(`splitBy must be one of: ${SPLIT_MODES.join(', ')}`);
+    else params.splitBy = splitBy;
+  }
+
+  if (given('reports')) {
+    const reports = listParam(body.reports);
+    try {
+      const defs = loadReportDefs();
+      const bad = reports.filter(k => !defs[k]);
+      if (bad.length) errors.push(`unknown reports: ${bad.join(', ')} (known: ${Object.keys(defs).join(', ')})`);
+      else if (reports.length) params.reports = [...new Set(reports)];
+    } catch (e) {
+      errors.push(`reports.json: ${e.message}`);
+    }
+  }
+
+  return { params, errors };
+}
+
+function resolveRange(params = {}) {
+  if (params.start || params.end) {
+    const S = params.start ? parseDay(params.start) : new Date();
+    const E = params.end ? parseDay(params.end) : S;
+    return { start: S, end: E };
+  }
+  if (params.mode) return defaultRange(params.mode);
+  return parseRangeFromEnv();
+}
 
 // Human subject like:
 // "Sep 2, 2025"        (same day)
 // "Sep 1–2, 2025"      (same month/year)
 // "Aug 31 – Sep 2, 2025" (same year, diff month)
 // "Dec 31, 2024 – Jan 2, 2025" (diff year)
+function humanRange(start, end) {
+  const sameDay = +nyStartOfDay(start) === +nyStartOfDay(end);
+
+  const fmtMDY = new Intl.DateTimeFormat('en-US', {
+    timeZone: DATE_TZ, year: 'numeric', month: 'short', day: 'numeric'
+  });
+  const fmtMD = new Intl.DateTimeFormat('en-US', {
+    timeZone: DATE_TZ, month: 'short', day: 'numeric'
+  });
+  const fmtY = new Intl.DateTimeFormat('en-US', { timeZone: DATE_TZ, year: 'numeric' });
+  const fmtM = new Intl.DateTimeFormat('en-US', { timeZone: DATE_TZ, month: 'short' });
+  const fmtD = new Intl.DateTimeFormat('en-US', { timeZone: DATE_TZ, day: 'numeric' });
+
+  if (sameDay) return fmtMDY.format(start);
+
+  const yS = fmtY.format(start), yE = fmtY.format(end);
+  const mS = fmtM.format(start), mE = fmtM.format(end);
+  const dS = fmtD.format(start), dE = fmtD.format(end);
+
+  const sameYear = yS === yE;
+  const sameMonth = sameYear && mS === mE;
+
+  if (sameMonth) return `${mS} ${dS}–${dE}, ${yS}`;
+  if (sameYear)  return `${fmtMD.format(start)} – ${fmtMD.format(end)}, ${yS}`;
+  return `${fmtMDY.format(start)} – ${fmtMDY.format(end)}`;
+}
 
 // ===== nav-race guard helpers ================================================
 function isNavRace(err) {
@@ -123,64 +389,388 @@ async function withStablePage(page, fn, timeoutMs = 15000) {
     }
   }
 }
+
+// ===== selector registry =====================================================
+// Portal selectors live in selectors.json as section.key → selector or an ordered
+// fallback list (a single string may itself be a CSS list "a, b"). SELECTORS_FILE
+// points at a JSON file whose section keys override the bundled ones, so a
+// markup change on the portal is a JSON fix, not a code change.
+let SELECTORS = null;
+function loadSelectors() {
+  if (SELECTORS) return SELECTORS;
+  const read = (p) => JSON.parse(fs.readFileSync(p, 'utf-8'));
+  const merged = read(path.join(ROOT, 'selectors.json'));
+  const override = env('SELECTORS_FILE', '');
+  if (override) {
+    for (const [section, keys] of Object.entries(read(path.resolve(ROOT, override)))) {
+      merged[section] = { ...(merged[section] || {}), ...keys };
+    }
+  }
+  return (SELECTORS = merged);
+}
+// sel('reporting.mid_chip', …) → ordered, de-duplicated candidate list
+function sel(...keys) {
+  const reg = loadSelectors();
+  const out = [];
+  for (const key of keys.flat()) {
+    const [section, name] = key.split('.');
+    const v = reg[section]?.[name];
+    if (v == null) throw new Error(`Unknown selector key: ${key}`);
+    for (const q of Array.isArray(v) ? v : [v]) if (!out.includes(q)) out.push(q);
+  }
+  return out;
+}
+// first candidate string that matches anything right now (else the last one)
+async function pickSelector(scope, keys) {
+  const list = sel(keys);
+  for (const q of list) {
+    if (await scope.locator(q).count().catch(() => 0)) return q;
+  }
+  return list[list.length - 1];
+}
+// first matching candidate as a Locator, polling up to timeoutMs; null if none
+async function findFirst(scope, keys, timeoutMs = 0) {
+  return findFirstOf(scope, sel(keys), timeoutMs);
+}
+// same, over a plain selector list
+async function findFirstOf(scope, list, timeoutMs = 0) {
+  const end = Date.now() + timeoutMs;
+  for (;;) {
+    for (const q of list) {
+      const loc = scope.locator(q);
+      if (await loc.count().catch(() => 0)) return loc.first();
+    }
+    if (Date.now() >= end) return null;
+    await new Promise(r => setTimeout(r, 200));
+  }
+}
+// every candidate OR-ed into one Locator (for waitFor on "any of these")
+function anyOf(scope, keys) {
+  return sel(keys).map(q => scope.locator(q)).reduce((a, b) => a.or(b));
+}
+
+// ===== report definitions ====================================================
+// Advanced Reporting reports live in reports.json (REPORTS_FILE adds/replaces
+// entries by key). A definition:
+//   name       "Net ACH" — used in messages; subject defaults to "<name> Export"
+//   title      portal link text on ReportSelect.aspx (when no `link` is given)
+//   reportId   Report.aspx?reportID=… — direct URL when the link can't be clicked
+//   link       selectors for the report link
+//   ready      selectors that show this report's page has loaded (checked
+//              after the shared reporting.ready_anchors)
+//   mids       true → fill the MID multiselect
+//   fields     { start, end } selectors for the date range (MM/DD/YYYY)
+//   filters    { "<selector>": value } — select/checkbox/text inputs to set
+//   load       selectors for the "Load report" button
+//   fileBase   output name prefix ("net-ach" → net-ach-2025-09-02.xlsx)
+//   subject    email subject prefix
+//   ingest     true → parse the export and store its rows (see "export datastore")
+//   template   email template name in TEMPLATES_DIR (default "report")
+//   summary    { columns: [header labels] } to total in the email summary
+//   reconcile  false → send without the pre-send checks (see "reconciliation")
+// Selector values are a string or an ordered list; "@section.key" entries
+// expand to that selectors.json key.
+let REPORT_DEFS = null;
+function loadReportDefs() {
+  if (REPORT_DEFS) return REPORT_DEFS;
+  const read = (p) => JSON.parse(fs.readFileSync(p, 'utf-8'));
+  const defs = read(path.join(ROOT, 'reports.json'));
+  const extra = env('REPORTS_FILE', '');
+  if (extra) Object.assign(defs, read(path.resolve(ROOT, extra)));
+  for (const [key, def] of Object.entries(defs)) {
+    if (!def.reportId && !def.link && !def.title) throw new Error(`Report "${key}" needs reportId, link or title`);
+  }
+  return (REPORT_DEFS = defs);
+}
+function getReportDef(key) {
+  const def = loadReportDefs()[key];
+  if (!def) throw new Error(`Unknown report: ${key}`);
+  return {
+    key,
+    name: def.name || def.title || key,
+    subject: def.subject || `${def.name || def.title || key} Export`,
+    fileBase: def.fileBase || fileSlug(key),
+    mids: def.mids !== false,
+    fields: def.fields || {},
+    filters: def.filters || {},
+    ingest: !!def.ingest,
+    ...def,
+  };
+}
+// "@ach.start_date" → registry candidates; plain strings stay as they are
+function reportSelectors(v) {
+  const out = [];
+  for (const q of [].concat(v || [])) {
+    for (const x of String(q).startsWith('@') ? sel(String(q).slice(1)) : [String(q)]) {
+      if (!out.includes(x)) out.push(x);
+    }
+  }
+  return out;
+}
+
+const ATTACHMENT_TYPES = {
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.csv':  'text/csv',
+  '.json': 'application/json',
+};
+
+// Prefer explicit SMTP_*; fall back to IMAP_* you already use for 2FA
+function smtpSettings() {
+  const host   = env('SMTP_HOST', env('IMAP_HOST', 'smtp.gmail.com').replace(/^imap\./i, 'smtp.'));
+  const port   = numEnv('SMTP_PORT', 465);
+  const secure = bool(env('SMTP_SECURE', 'true'), true); // true=SMTPS/465, false=STARTTLS/587
+  const user   = env('SMTP_USER', env('IMAP_USER'));
+  const pass   = env('SMTP_PASS', env('IMAP_PASS'));
+  const from   = env('EMAIL_FROM', user);
+  return { host, port, secure, from, transporter: nodemailer.createTransport({ host, port, secure, auth: { user, pass } }) };
+}
+
 async function emailReport(fileArg, overrides = {}) {
   try {
-    const to = env('EMAIL_TO', '');
+    const to = overrides.to != null ? listParam(overrides.to).join(', ') : env('EMAIL_TO', '');
     if (!to) {
-      console.log('[EMAIL] EMAIL_TO not set — skipping send.');
-      return;
+      log.info('email', 'no recipients (EMAIL_TO / emailTo) — skipping send');
+      return { sent: false, skipped: true };
     }
 
-    // Prefer explicit SMTP_*; fall back to IMAP_* you already use for 2FA
-    const host   = env('SMTP_HOST', env('IMAP_HOST', 'smtp.gmail.com').replace(/^imap\./i, 'smtp.'));
-    const port   = numEnv('SMTP_PORT', 465);
-    const secure = bool(env('SMTP_SECURE', 'true'), true); // true=SMTPS/465, false=STARTTLS/587
-    const user   = env('SMTP_USER', env('IMAP_USER'));
-    const pass   = env('SMTP_PASS', env('IMAP_PASS'));
-    const from   = env('EMAIL_FROM', user);
-
-    // normalize attachment input
-    let filePath = null;
-    if (typeof fileArg === 'string') {
-      filePath = fileArg;
-    } else if (fileArg && typeof fileArg === 'object' && typeof fileArg.path === 'string') {
-      filePath = fileArg.path;
-    } else {
-      throw new Error('emailReport() expected a string file path or { path: string }');
-    }
-    if (!fs.existsSync(filePath)) {
-      throw new Error(`Attachment not found on disk: ${filePath}`);
+    const { host, port, secure, from, transporter } = smtpSettings();
+
+    // normalize attachment input: a path, { path }, or a list of those
+    const filePaths = [].concat(fileArg).map((f) => {
+      if (typeof f === 'string') return f;
+      if (f && typeof f === 'object' && typeof f.path === 'string') return f.path;
+      throw new Error('emailReport() expected a string file path or { path: string } (or a list of them)');
+    });
+    if (!filePaths.length) throw new Error('emailReport() got no attachments');
+    for (const f of filePaths) {
+      if (!fs.existsSync(f)) throw new Error(`Attachment not found on disk: ${f}`);
     }
 
-    const filename = overrides.filename || path.basename(filePath);
-    const subject  = overrides.subject  || env('EMAIL_SUBJECT', `Net ACH Export ${new Date().toISOString().slice(0,10)}`);
-    const text     = overrides.text     || env('EMAIL_BODY', 'Attached is the Net ACH export.');
-    const contentType =
-      path.extname(filename).toLowerCase() === '.xlsx'
-        ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
-        : undefined;
+    const reportName = runReportNames(currentRun());
+    const subject  = overrides.subject  || env('EMAIL_SUBJECT', `${reportName} Export ${new Date().toISOString().slice(0,10)}`);
+    const text     = overrides.text     || env('EMAIL_BODY', `Attached is the ${reportName} export.`);
+    const attachments = filePaths.map((f) => {
+      const filename = (filePaths.length === 1 && overrides.filename) || path.basename(f);
+      return { filename, path: f, contentType: ATTACHMENT_TYPES[path.extname(filename).toLowerCase()] };
+    });
+    const filename = attachments.map(a => a.filename).join(', ');
 
-    console.log('[EMAIL] preparing send', { host, port, secure, to, from, filename });
+    log.info('email', 'preparing send', { host, port, secure, to, from, filename, html: !!overrides.html });
 
-    const transporter = nodemailer.createTransport({
-      host,
-      port,
-      secure,
-      auth: { user, pass },
-    });
+    const cc      = listParam(overrides.cc ?? env('EMAIL_CC', '')).join(', ') || undefined;
+    const bcc     = listParam(overrides.bcc ?? env('EMAIL_BCC', '')).join(', ') || undefined;
+    const replyTo = overrides.replyTo || env('EMAIL_REPLY_TO', '') || undefined;
 
     const info = await transporter.sendMail({
       from,
       to,
+      cc,
+      bcc,
+      replyTo,
       subject,
       text,
-      attachments: [{ filename, path: filePath, contentType }],
+      ...(overrides.html ? { html: overrides.html } : {}),
+      attachments,
     });
 
-    console.log(`[EMAIL] sent ok: messageId=${info.messageId}`);
+    log.info('email', 'sent', { to, filename, messageId: info.messageId });
+    emitProgress('email.sent', { to, file: filename, messageId: info.messageId });
+    return { sent: true, to, messageId: info.messageId };
   } catch (err) {
-    console.error('[EMAIL] send failed:', err?.message || err);
+    log.error('email', 'send failed', { error: err?.message || String(err) });
+    emitProgress('email.failed', { error: err?.message || String(err) });
+    addRunWarning(`email failed: ${err?.message || err}`);
+    return { sent: false, error: err?.message || String(err) };
+  }
+}
+
+// ===== failure alert =========================================================
+// A failed run mails ALERT_EMAIL_TO — ops, not the report recipients — with
+// the failed step, the error and the last ALERT_LOG_LINES (default 50) log
+// lines. ALERT_ATTACH picks the attachments:
+//   files (default)  the fatal screenshot + page HTML
+//   zip              every artifact the run saved under ERROR_DIR plus its log
+//   none             text only
+async function sendFailureAlert(run) {
+  const to = listParam(env('ALERT_EMAIL_TO', ''));
+  if (!to.length || !run.error) return null;
+  try {
+    const mode = env('ALERT_ATTACH', 'files').toLowerCase();
+    const logText = runLogText(run);
+    const tail = logText.split('\n').filter(Boolean).slice(-numEnv('ALERT_LOG_LINES', 50));
+    const artifacts = run.artifacts.filter(f => fs.existsSync(f));
+    const attachments = [];
+    if (mode === 'zip' && (artifacts.length || logText)) {
+      const zip = new AdmZip();
+      for (const f of artifacts) zip.addLocalFile(f, path.relative(ERROR_SHOTS, path.dirname(f)).replace(/^(\.\.[\\/])+/, ''));
+      zip.addFile(`run-${run.id}.log`, Buffer.from(logText, 'utf8'));
+      attachments.push({ filename: `diagnostics-${run.id}.zip`, content: zip.toBuffer(), contentType: 'application/zip' });
+    } else if (mode === 'files') {
+      const fatal = artifacts.filter(f => /-fatal\.(png|html)$/.test(f));
+      for (const f of fatal.length ? fatal : artifacts.slice(-2)) attachments.push({ filename: path.basename(f), path: f });
+    }
+
+    const range = run.range ? `${run.range.start} → ${run.range.end}` : 'n/a';
+    const text = [
+      `Run ${run.id} (${run.trigger}) failed.`,
+      '',
+      `Reports:     ${runReportNames(run)}`,
+      `Range:       ${range}`,
+      `Failed step: ${run.failedStep || 'unknown'}`,
+      `Error:       ${run.error}`,
+      `Started:     ${run.startedAt}`,
+      ...(run.logFile ? [`Log file:    ${run.logFile}`] : []),
+      '',
+      `Last ${tail.length} log lines:`,
+      ...tail,
+    ].join('\n');
+
+    const { from, transporter } = smtpSettings();
+    const info = await transporter.sendMail({
+      from,
+      to: to.join(', '),
+      subject: `${env('ALERT_SUBJECT_PREFIX', '[ALERT]')} ${runReportNames(run)} export failed at ${run.failedStep || 'unknown'} — ${range}`,
+      text: scrubSecrets(text),
+      attachments,
+    });
+    log.info('alert', 'failure alert sent', { to, attachments: attachments.map(a => a.filename), messageId: info.messageId });
+    return { sent: true, to, attachments: attachments.map(a => a.filename), messageId: info.messageId };
+  } catch (e) {
+    log.error('alert', 'failure alert failed', { error: e?.message || String(e) });
+    return { sent: false, error: e?.message || String(e) };
+  }
+}
+
+// ===== webhooks ==============================================================
+// WEBHOOKS (JSON array) or WEBHOOKS_FILE, fired once per finished run:
+//   [{ "url": "...", "type": "json" | "slack" | "teams",
+//      "on": ["success", "partial", "failure"], "headers": { ... } }]
+// "partial" = the run succeeded with warnings (MIDs left out under
+// MID_FINAL_WARN_ONLY, a failed email, a failed ingest). Delivery retries
+// network errors, 429 and 5xx with exponential backoff (WEBHOOK_RETRIES,
+// WEBHOOK_BACKOFF_MS); other 4xx answers are not retried.
+const WEBHOOK_TYPES = ['json', 'slack', 'teams'];
+const WEBHOOK_EVENTS = ['success', 'partial', 'failure'];
+
+function loadWebhooks() {
+  const file = env('WEBHOOKS_FILE', '');
+  const raw = file ? fs.readFileSync(path.resolve(ROOT, file), 'utf-8') : env('WEBHOOKS', '');
+  if (!raw) return [];
+  const list = JSON.parse(raw);
+  if (!Array.isArray(list)) throw new Error('WEBHOOKS must be a JSON array');
+  return list.map((h, i) => {
+    let url;
+    try { url = new URL(String(h?.url || '')); } catch { throw new Error(`webhook ${i + 1}: invalid url`); }
+    const type = String(h.type || 'json').toLowerCase();
+    if (!WEBHOOK_TYPES.includes(type)) throw new Error(`webhook ${i + 1}: type must be ${WEBHOOK_TYPES.join(' | ')}`);
+    const on = h.on ? listParam(h.on).map(e => e.toLowerCase()) : WEBHOOK_EVENTS;
+    const bad = on.filter(e => !WEBHOOK_EVENTS.includes(e));
+    if (bad.length) throw new Error(`webhook ${i + 1}: unknown event ${bad.join(', ')}`);
+    return { url: url.href, host: url.host, type, on, headers: h.headers || {} };
+  });
+}
+
+// note a non-fatal problem on the current run (turns success into "partial")
+function addRunWarning(msg) {
+  const run = currentRun();
+  if (run) run.warnings.push(msg);
+}
+
+function runOutcome(run) {
+  if (run.error) return 'failure';
+  return run.warnings.length ? 'partial' : 'success';
+}
+
+// "Net ACH" / "Net ACH + Deposits" — the run's reports, else the ones it was asked for
+// (run may be null: the REPORTS default)
+function runReportNames(run) {
+  const names = [...new Set((run?.reports || []).map(r => r.name))];
+  if (names.length) return names.join(' + ');
+  const keys = run.params?.reports || listParam(env('REPORTS', 'net-ach'));
+  return keys.map(k => { try { return getReportDef(k).name; } catch { return k; } }).join(' + ');
+}
+
+function runSummary(run) {
+  return {
+    event: runOutcome(run),
+    name: runReportNames(run),
+    runId: run.id,
+    trigger: run.trigger,
+    status: run.status,
+    range: run.range,
+    mids: { requested: run.midCount, missing: run.midMisses.length },
+    files: run.reports.flatMap(r => Object.values(r.outputs || (r.output ? { xlsx: r.output } : {}))).map(f => path.basename(f)),
+    reports: run.reports.map(r => ({ key: r.key, status: r.status, file: r.output ? path.basename(r.output) : null, error: r.error || undefined })),
+    failedStep: run.failedStep,
+    error: run.error,
+    warnings: run.warnings,
+    durationMs: run.durationMs,
+    finishedAt: run.finishedAt,
+  };
+}
+
+function webhookBody(type, sum) {
+  const icon = { success: '✅', partial: '⚠️', failure: '❌' }[sum.event];
+  const range = sum.range ? `${sum.range.start} → ${sum.range.end}` : 'n/a';
+  const title = `${icon} ${sum.name} export ${sum.event}: ${range}`;
+  const facts = [
+    ['Run', sum.runId], ['Trigger', sum.trigger], ['MIDs', `${sum.mids.requested ?? 0} requested, ${sum.mids.missing} missing`],
+    ['Files', sum.files.join(', ') || 'none'],
+    ...(sum.error ? [['Failed step', sum.failedStep || 'unknown'], ['Error', sum.error]] : []),
+    ...(sum.warnings.length ? [['Warnings', sum.warnings.join('; ')]] : []),
+  ];
+  if (type === 'slack') {
+    return { text: [title, ...facts.map(([k, v]) => `*${k}:* ${v}`)].join('\n') };
+  }
+  if (type === 'teams') {
+    return {
+      '@type': 'MessageCard', '@context': 'http://schema.org/extensions',
+      themeColor: { success: '2EB886', partial: 'DAA038', failure: 'D40E0D' }[sum.event],
+      summary: title, title,
+      sections: [{ facts: facts.map(([name, value]) => ({ name, value: String(value) })) }],
+    };
+  }
+  return sum;
+}
+
+async function postWebhook(hook, body) {
+  const retries = numEnv('WEBHOOK_RETRIES', 4);
+  const backoffMs = numEnv('WEBHOOK_BACKOFF_MS', 1000);
+  let last = null;
+  for (let attempt = 1; attempt <= retries + 1; attempt++) {
+    try {
+      const res = await fetch(hook.url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', ...hook.headers },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(numEnv('WEBHOOK_TIMEOUT_MS', 10_000)),
+      });
+      if (res.ok) return { host: hook.host, type: hook.type, ok: true, status: res.status, attempts: attempt };
+      last = `HTTP ${res.status}`;
+      if (res.status < 500 && res.status !== 429) return { host: hook.host, type: hook.type, ok: false, status: res.status, attempts: attempt };
+    } catch (e) {
+      last = e?.message || String(e);
+    }
+    if (attempt <= retries) {
+      log.warn('webhook', `${hook.host} attempt ${attempt} failed — retrying`, { error: last });
+      await sleep(backoffMs * 2 ** (attempt - 1));
+    }
+  }
+  return { host: hook.host, type: hook.type, ok: false, error: last, attempts: retries + 1 };
+}
+
+// fire every webhook subscribed to this run's outcome → delivery results (never throws)
+async function notifyWebhooks(run) {
+  let hooks;
+  try { hooks = loadWebhooks(); } catch (e) {
+    log.error('webhook', 'bad WEBHOOKS config', { error: e.message });
+    return [];
   }
+  const sum = runSummary(run);
+  const targets = hooks.filter(h => h.on.includes(sum.event));
+  const results = await Promise.all(targets.map(h => postWebhook(h, webhookBody(h.type, sum))));
+  for (const r of results) log[r.ok ? 'info' : 'error']('webhook', `${r.host} ${r.ok ? 'delivered' : 'failed'}`, r);
+  return results;
 }
 // ===== IMAP 2FA helpers ======================================================
 async function get2faCodeFromImap(opts = {}) {
@@ -258,38 +848,149 @@ async function get2faCodeFromImap(opts = {}) {
   return null;
 }
 
-async function waitFor2faCode(notBefore = null, lastCode = null) {
-  const maxWaitMs = numEnv('MFA_MAX_WAIT_MS', 90_000);
-  const pollMs    = numEnv('IMAP_POLL_MS', 3000);
-  const end = Date.now() + maxWaitMs;
+// ===== MFA code providers ====================================================
+// MFA_PROVIDER picks where codes come from; a csv is a fallback chain tried in
+// order (e.g. "totp,imap,manual"). Each provider gets its own wait budget.
+//   imap   — poll the mailbox (IMAP_* settings above)
+//   totp   — RFC 6238 code from TOTP_SECRET (base32; TOTP_DIGITS, TOTP_PERIOD)
+//   manual — pause the run until POST /runs/:id/mfa { "code": "123456" }
+//            (server mode only — a CLI run skips it, or fails up front if
+//            it is the only provider)
+const MFA_PROVIDER_NAMES = ['imap', 'totp', 'manual'];
 
-  while (Date.now() < end) {
-    const code = await get2faCodeFromImap({ notBefore }).catch(() => null);
-    if (code && code !== lastCode) return code; // don’t reuse
-    await new Promise(r => setTimeout(r, pollMs));
+function mfaProviderChain() {
+  const names = env('MFA_PROVIDER', 'imap').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  const bad = names.filter(n => !MFA_PROVIDER_NAMES.includes(n));
+  if (bad.length) throw new Error(`Unknown MFA_PROVIDER ${bad.join(', ')} (expected ${MFA_PROVIDER_NAMES.join(' | ')})`);
+  return names.length ? names : ['imap'];
+}
+// the chain a run can use here: manual codes arrive through the trigger server
+let manualMfaReachable = false;
+function usableMfaChain() {
+  const chain = mfaProviderChain();
+  if (manualMfaReachable) return chain;
+  const usable = chain.filter(n => n !== 'manual');
+  if (!usable.length) throw new Error('MFA_PROVIDER=manual needs server mode — codes are entered through POST /runs/:id/mfa');
+  return usable;
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// poll the mailbox; only mail after notBefore, never the code that just failed
+async function imapMfaCode({ notBefore = null, lastCode = null, deadline }) {
+  if (!env('IMAP_USER') || !env('IMAP_PASS')) throw new Error('IMAP_USER/IMAP_PASS not set');
+  const pollMs = numEnv('IMAP_POLL_MS', 3000);
+  let lastErr = null;
+  while (Date.now() < deadline) {
+    let failed = false;
+    const code = await get2faCodeFromImap({ notBefore }).catch((e) => { lastErr = e; failed = true; return null; });
+    incMetric(METRICS.imapPolls, { result: failed ? 'error' : code ? 'code' : 'empty' });
+    if (code && code !== lastCode) return code;
+    await sleep(pollMs);
   }
-  throw new Error('Timed out waiting for 2FA email');
+  throw new Error(`Timed out waiting for 2FA email${lastErr ? ` (${lastErr.message})` : ''}`);
 }
-async function waitFor2faCode() {
-  const maxWaitMs = numEnv('MFA_MAX_WAIT_MS', 90_000);
-  const pollMs    = numEnv('IMAP_POLL_MS', 3000);
-  const end = Date.now() + maxWaitMs;
-  while (Date.now() < end) {
-    const code = await get2faCodeFromImap().catch(() => null);
-    if (code) return code;
-    await new Promise(r => setTimeout(r, pollMs));
+
+function base32Decode(s) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  const clean = String(s).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0, value = 0;
+  const out = [];
+  for (const ch of clean) {
+    const idx = alphabet.indexOf(ch);
+    if (idx < 0) throw new Error('TOTP_SECRET is not valid base32');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) { out.push((value >>> (bits - 8)) & 0xff); bits -= 8; }
+  }
+  return Buffer.from(out);
+}
+
+function totpCode(secret, at = Date.now()) {
+  const digits = numEnv('TOTP_DIGITS', 6);
+  const period = numEnv('TOTP_PERIOD', 30);
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(at / 1000 / period)));
+  const mac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const off = mac[mac.length - 1] & 0x0f;
+  const bin = (mac.readUInt32BE(off) & 0x7fffffff) % 10 ** digits;
+  return String(bin).padStart(digits, '0');
+}
+
+// current code, unless it is about to roll over or is the one that just failed
+async function totpMfaCode({ lastCode = null, deadline }) {
+  const secret = env('TOTP_SECRET');
+  if (!secret) throw new Error('TOTP_SECRET not set');
+  const periodMs = numEnv('TOTP_PERIOD', 30) * 1000;
+  while (Date.now() < deadline) {
+    const left = periodMs - (Date.now() % periodMs);
+    const code = totpCode(secret);
+    if (code !== lastCode && left > 3000) return code;
+    await sleep(left + 250);
+  }
+  throw new Error('Timed out waiting for a fresh TOTP code');
+}
+
+// runs paused on the manual provider: runId → { resolve, since }
+const pendingMfa = new Map();
+
+async function manualMfaCode({ run, deadline }) {
+  if (!run?.id) throw new Error('manual MFA needs a run id');
+  const waitMs = Math.max(0, deadline - Date.now());
+  run.mfa = { provider: 'manual', waitingSince: new Date().toISOString() };
+  await saveRun(run);
+  log.info('2fa', `waiting up to ${Math.round(waitMs / 1000)}s for a code: POST /runs/${run.id}/mfa {"code":"…"}`);
+  emitProgress('mfa.waiting', { provider: 'manual', waitMs }, run);
+  let timer;
+  try {
+    return await new Promise((resolve, reject) => {
+      pendingMfa.set(run.id, { resolve, since: run.mfa.waitingSince });
+      timer = setTimeout(() => reject(new Error('Timed out waiting for a manually entered MFA code')), waitMs);
+    });
+  } finally {
+    clearTimeout(timer);
+    pendingMfa.delete(run.id);
+    run.mfa = null;
+    await saveRun(run);
+  }
+}
+
+// hand a code to a run paused on the manual provider → false if it isn't waiting
+function submitManualMfaCode(runId, code) {
+  const waiting = pendingMfa.get(runId);
+  if (!waiting) return false;
+  waiting.resolve(code);
+  return true;
+}
+
+const MFA_PROVIDERS = {
+  imap:   { getCode: imapMfaCode,   waitMs: () => numEnv('MFA_MAX_WAIT_MS', 90_000) },
+  totp:   { getCode: totpMfaCode,   waitMs: () => numEnv('MFA_MAX_WAIT_MS', 90_000) },
+  manual: { getCode: manualMfaCode, waitMs: () => numEnv('MFA_MANUAL_WAIT_MS', 10 * 60_000) },
+};
+
+// walk the provider chain → { code, provider }; throws once every provider gave up
+async function getMfaCode(ctx = {}, chain = mfaProviderChain()) {
+  const errors = [];
+  for (const name of chain) {
+    const provider = MFA_PROVIDERS[name];
+    try {
+      const code = await provider.getCode({ ...ctx, deadline: Date.now() + provider.waitMs() });
+      return { code, provider: name };
+    } catch (e) {
+      const msg = e?.message || String(e);
+      errors.push(`${name}: ${msg}`);
+      if (chain.length > 1) log.warn('2fa', `provider ${name} failed`, { error: msg });
+    }
   }
-  throw new Error('Timed out waiting for 2FA email');
+  throw new Error(`No MFA code — ${errors.join('; ')}`);
 }
 
 // ===== MFA UI helpers (nav-safe) ============================================
 async function twofaScreenPresent(page) {
   if (/\/mfa\b/i.test(page.url())) return true;
   return await withStablePage(page, async () => {
-    const a = await page.getByRole('textbox', { name: /passcode|code/i }).count().catch(() => 0);
-    if (a > 0) return true;
-    const b = await page.locator('input[autocomplete="one-time-code"]').count().catch(() => 0);
-    return b > 0;
+    return !!(await findFirst(page, 'twofa.code_input'));
   }, 4000);
 }
 async function submitTwofaCode(page, code) {
@@ -297,8 +998,8 @@ async function submitTwofaCode(page, code) {
 
   await withStablePage(page, async () => {
     // single input first
-    const single = page.getByRole('textbox', { name: /passcode|code/i }).first();
-    if (await single.count()) { await single.fill(clean); return; }
+    const single = await findFirst(page, 'twofa.code_input');
+    if (single) { await single.fill(clean); return; }
 
     const guess = page
       .locator('input[autocomplete="one-time-code"], input[name*="code" i], input[id*="code" i]')
@@ -322,8 +1023,8 @@ async function submitTwofaCode(page, code) {
   });
 
   await withStablePage(page, async () => {
-    const submit = page.getByRole('button', { name: /verify|continue|submit/i }).first();
-    if (await submit.count()) {
+    const submit = await findFirst(page, 'twofa.submit');
+    if (submit) {
       await Promise.race([
         page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 8000 }).catch(() => null),
         submit.click().then(() => null).catch(() => null),
@@ -353,9 +1054,7 @@ async function waitForPostTwofa(page, totalTimeoutMs) {
   while (Date.now() < end) {
     if (!/\/mfa\b/i.test(page.url())) {
       const still = await withStablePage(page, async () => {
-        const c1 = await page.getByRole('textbox', { name: /passcode|code/i }).count().catch(() => 0);
-        const c2 = await page.locator('input[autocomplete="one-time-code"]').count().catch(() => 0);
-        return c1 + c2;
+        return (await findFirst(page, 'twofa.code_input')) ? 1 : 0;
       }, 2000).catch(() => 0);
       if (still === 0) return true;
     }
@@ -384,12 +1083,11 @@ async function waitForLoginForm(page, timeoutMs) {
   const end = Date.now() + timeoutMs;
   while (Date.now() < end) {
     if (await isUnauthorizedSplash(page).catch(() => false)) return false;
-    const uCount = await page.getByRole('textbox', { name: /username/i }).count().catch(() => 0);
-    const pCount = await page.getByRole('textbox', { name: /password/i }).count().catch(() => 0);
-    if (uCount > 0 && pCount > 0) {
+    const user = await findFirst(page, 'login.username');
+    const pass = await findFirst(page, 'login.password');
+    if (user && pass) {
       try {
-        await page.getByRole('textbox', { name: /username/i }).first()
-          .waitFor({ state: 'visible', timeout: 2000 });
+        await user.waitFor({ state: 'visible', timeout: 2000 });
       } catch {}
       return true;
     }
@@ -438,14 +1136,20 @@ function uniqueMids(arr) {
   return out;
 }
 
-async function readSelectedMids(page) {
-  // 1) Chips text
-  const chipTexts = await page.locator('.catMSValueList li').allTextContents().catch(() => []);
+// MIDs the multiselect shows as chips — what the widget itself accepted
+async function readMidChips(page) {
+  const chipTexts = await page.locator(await pickSelector(page, 'reporting.mid_chip')).allTextContents().catch(() => []);
   const fromChips = new Set();
   for (const t of chipTexts) {
     const m = String(t || '').match(/\b(\d{6,})\b/);
     if (m) fromChips.add(m[1]);
   }
+  return fromChips;
+}
+
+async function readSelectedMids(page) {
+  // 1) Chips text
+  const fromChips = await readMidChips(page);
 
   // 2) Hidden inputs that may store values
   const fromHidden = await page.evaluate(() => {
@@ -460,7 +1164,7 @@ async function readSelectedMids(page) {
     // try any hidden fields inside the multiselect container
     document.querySelectorAll('input[type="hidden"]').forEach(inp => {
       const nm = (inp.name || inp.id || '').toLowerCase();
-      if (nm.includes('mid')) add(inp.value);
+      if (nm.includes('mid') && !nm.includes('corp')) add(inp.value);
     });
     return Array.from(acc);
   }).catch(() => []);
@@ -469,34 +1173,6 @@ async function readSelectedMids(page) {
   return Array.from(all);
 }
 
-async function addMidsIncremental(page, mids, opts = {}) {
-  const input = page.getByRole('textbox', { name: /search by mid\/name/i }).first();
-  await input.waitFor({ state: 'visible', timeout: 15_000 }).catch(() => {});
-  const resultFor = (mid) =>
-    page.locator('#MID-catmultiselect-resultbox .catMSResultList li', { hasText: new RegExp(`^${mid}\\b`) }).first();
-
-  const delay = (ms) => page.waitForTimeout(ms);
-  const perTypeDelay = numEnv('MID_PER_TYPE_DELAY_MS', 20);
-  const afterTypePause = numEnv('MID_AFTER_TYPE_PAUSE_MS', 280);
-
-  for (const mid of mids) {
-    await input.click().catch(()=>{});
-    await input.fill('');
-    await input.type(String(mid), { delay: perTypeDelay }).catch(()=>{});
-    await delay(afterTypePause);
-
-    const row = resultFor(mid);
-    if (await row.count()) {
-      await row.click().catch(()=>{});
-      await delay(100);
-    } else {
-      // fallback commit
-      await input.press('Enter').catch(()=>{});
-      await delay(120);
-    }
-  }
-}
-
 // Drop-in replacement
 // Drop-in: no SELECTORS dependency
 // Drop-in: same method as before, but waits for page/UI to be ready first
@@ -529,61 +1205,24 @@ async function addMidsStrict(page, mids) {
     }
     return false;
   };
-  await waitForAny([
-    '#reportParams', '#reportWrap', '#mainRepHead',
-    'button:has-text("Load report")', 'text=/Net\\s+ACH\\s+Details/i'
-  ], numEnv('MID_READY_WAIT_MS', 12000));
+  await waitForAny(sel('reporting.ready_anchors'), numEnv('MID_READY_WAIT_MS', 12000));
 
-  // ---- Portal selectors: force the *MID* set, exclude CorpMID ----
+  // ---- Portal selectors (registry): force the *MID* set, exclude CorpMID ----
   // Input: prefer exact id, then fallbacks that *exclude* #CorpMID-catmultiselect
-  const inputCandidates = [
-    'input#MID-catmultiselect',
-    'input[id="MID-catmultiselect"]',
-    'input[placeholder="Search by MID/Name"][id^="MID"]',
-    'input[placeholder="Search by MID/Name"]:not(#CorpMID-catmultiselect)'
-  ];
-  const input = (() => {
-    for (const q of inputCandidates) {
-      const loc = page.locator(q);
-      if (loc) return loc.first();
-    }
-    return page.locator('input#MID-catmultiselect').first();
-  })();
+  const inputCandidates = sel('reporting.mid_input');
+  const input = page.locator(await pickSelector(page, 'reporting.mid_input')).first();
 
   // Result items & chips: pin to MID containers first, then generic
-  const resultItemsQPriority = [
-    '#MID-catmultiselect-resultbox .catMSResultList li',
-    '#MID-catmultiselect .catMSResultList li',
-    '.catMSResultList li'
-  ];
-  const chipsQPriority = [
-    '#MID-catmultiselect .catMSValueList li',
-    '.catMSValueList li'
-  ];
-  const resultsBoxQPriority = [
-    '#MID-catmultiselect-resultbox',
-    '#MID-catmultiselect .catMSResultList',
-    '.catMSResultList'
-  ];
-
-  const pickFirstExistingQuery = async (queries, fallback) => {
-    for (const q of queries) {
-      const n = await page.locator(q).count().catch(() => 0);
-      if (n > 0) return q;
-    }
-    return fallback;
-  };
-
-  const resultItemsQ = await pickFirstExistingQuery(resultItemsQPriority, resultItemsQPriority.slice(-1)[0]);
-  const chipsQ       = await pickFirstExistingQuery(chipsQPriority,      chipsQPriority.slice(-1)[0]);
-  const resultsBoxQ  = await pickFirstExistingQuery(resultsBoxQPriority, resultsBoxQPriority.slice(-1)[0]);
+  const resultItemsQ = await pickSelector(page, 'reporting.mid_result_item');
+  const chipsQ       = await pickSelector(page, 'reporting.mid_chip');
+  const resultsBoxQ  = await pickSelector(page, 'reporting.mid_results_container');
 
   try {
     // Ensure we have a unique input (avoid strict violation)
     const count = await input.count().catch(() => 0);
     if (count !== 1) {
       // last-ditch unique selector
-      const unique = page.locator('input#MID-catmultiselect');
+      const unique = page.locator(inputCandidates[0]);
       if ((await unique.count()) === 1) {
         await unique.waitFor({ state: 'visible', timeout: navTimeout });
       } else {
@@ -649,7 +1288,7 @@ async function addMidsStrict(page, mids) {
     return ensureChip(mid);
   };
 
-  console.log(`[mids] target total: ${mids.length}`);
+  log.info('mids', 'target total', { total: mids.length });
 
   // Skip ones already present
   const existing = new Set(
@@ -676,6 +1315,7 @@ async function addMidsStrict(page, mids) {
 
     if (!ok) misses.push(mid);
     else existing.add(mid);
+    emitProgress('mids.added', { mid, ok, added: existing.size, total: mids.length });
 
     await page.waitForTimeout(betweenAdds);
   }
@@ -694,15 +1334,89 @@ async function addMidsStrict(page, mids) {
         await page.waitForTimeout((retryBackoff + 150) * (attempt + 1));
       }
       if (!ok) stillMissing.push(mid);
-      else await page.waitForTimeout(betweenAdds);
+      else {
+        existing.add(mid);
+        emitProgress('mids.added', { mid, ok, added: existing.size, total: mids.length, retry: true });
+        await page.waitForTimeout(betweenAdds);
+      }
     }
 
     if (stillMissing.length) {
+      emitProgress('mids.missing', { mids: stillMissing, warnOnly });
+      incMetric(METRICS.midMisses, {}, stillMissing.length);
       const msg = `Some MIDs were not added as chips: ${stillMissing.join(', ')}`;
-      if (warnOnly) console.warn(msg);
-      else throw new Error(msg);
+      if (!warnOnly) throw new Error(msg);
+      log.warn('mids', msg, { missing: stillMissing });
+      const run = currentRun();
+      if (run) {
+        run.midMisses = [...new Set([...run.midMisses, ...stillMissing])];
+        run.warnings.push(msg);
+      }
+    }
+  }
+}
+
+// ===== MID add — direct (no typing) ==========================================
+// MID_SELECT_METHOD=auto (default) sets the MID parameter the way the
+// multiselect's form post carries it:
+//   hidden  the multiselect's hidden value input (reporting.mid_hidden), joined
+//           with MID_VALUE_SEPARATOR (default ",")
+//   query   only with MID_QUERY_PARAM: reload Report.aspx with <param>=<MIDs>
+// A method counts once readSelectedMids finds every MID and the widget's chips
+// (reporting.mid_chip), if it rendered any, show them all too. Whatever isn't
+// confirmed is undone and the MIDs are typed (addMidsStrict).
+// MID_SELECT_METHOD=type always types. → the method that worked
+async function selectMids(page, mids, { navState, navTimeout } = {}) {
+  const method = env('MID_SELECT_METHOD', 'auto').toLowerCase();
+  const separator = env('MID_VALUE_SEPARATOR', ',');
+  const confirmed = async () => {
+    const got = new Set(await readSelectedMids(page));
+    if (!mids.every(m => got.has(m))) return false;
+    // chips showing a different set mean the widget didn't take the value
+    const chips = await readMidChips(page);
+    return !chips.size || mids.every(m => chips.has(m));
+  };
+  const done = (how) => {
+    log.info('mids', `selected ${mids.length} MID(s) via ${how}`);
+    emitProgress('mids.selected', { method: how, total: mids.length });
+    return how;
+  };
+
+  if (method !== 'type') {
+    await page.waitForLoadState(navState || 'domcontentloaded').catch(() => {});
+    await anyOf(page, 'reporting.ready_anchors').first().waitFor({ timeout: numEnv('MID_READY_WAIT_MS', 12000) }).catch(() => {});
+    const hidden = await findFirstOf(page, sel('reporting.mid_hidden'));
+    if (hidden) {
+      const setValue = (v) => hidden.evaluate((n, value) => {
+        n.value = value;
+        n.dispatchEvent(new Event('input', { bubbles: true }));
+        n.dispatchEvent(new Event('change', { bubbles: true }));
+      }, v);
+      const before = await hidden.inputValue().catch(() => '');
+      await setValue(mids.join(separator));
+      await page.waitForTimeout(numEnv('RESULT_DEBOUNCE_MS', 350)); // let the widget overwrite it if it's going to
+      if (await confirmed()) return done('hidden');
+      log.warn('mids', 'hidden MID input did not keep the value — undoing');
+      await setValue(before).catch(() => {});
+    } else {
+      log.debug('mids', 'no hidden MID input (reporting.mid_hidden)');
+    }
+
+    const param = env('MID_QUERY_PARAM', '');
+    if (param) {
+      const url = new URL(page.url());
+      url.searchParams.set(param, mids.join(separator));
+      await page.goto(url.href, { waitUntil: navState || 'domcontentloaded', timeout: navTimeout }).catch(() => {});
+      if (await confirmed()) return done('query');
+      log.warn('mids', `${param}= in the report URL was not applied — reloading without it`);
+      url.searchParams.delete(param);
+      await page.goto(url.href, { waitUntil: navState || 'domcontentloaded', timeout: navTimeout }).catch(() => {});
     }
+    log.info('mids', 'direct selection not confirmed — typing MIDs');
   }
+
+  await addMidsStrict(page, mids);
+  return done('typed');
 }
 
 // ===== Export helpers ========================================================
@@ -716,7 +1430,7 @@ async function exportCombined(page, outDir, baseName = 'net-ach') {
   // A) use data-url if present
   const frames = [page.mainFrame(), ...page.frames()];
   for (const f of frames) {
-    const btn = f.locator('[data-url*="/Reporting/ExportReport.aspx"]').first();
+    const btn = anyOf(f, 'reporting.export_data_url').first();
     if (await btn.count()) {
       const rel = await btn.getAttribute('data-url');
       if (rel) {
@@ -762,8 +1476,8 @@ async function exportCombined(page, outDir, baseName = 'net-ach') {
   }
 
   // C) last resort: click visible Export
-  const expBtn = page.getByRole('button', { name: /export/i }).first();
-  if (await expBtn.count()) {
+  const expBtn = await findFirst(page, 'reporting.export_buttons');
+  if (expBtn) {
     const race = waitAnyDownloadOrNav(page, numEnv('EXPORT_TIMEOUT_MS', 60_000));
     await expBtn.click().catch(()=>{});
     const res = await race;
@@ -776,298 +1490,2463 @@ async function exportCombined(page, outDir, baseName = 'net-ach') {
   throw new Error('Export did not yield a downloadable file');
 }
 
-// ===== merchants loader (optional) ===========================================
-function loadMerchantsMids() {
-  const midsEnv = (env('MIDS', '') || '').split(',').map(s => s.trim()).filter(Boolean);
-  if (midsEnv.length) return uniqueMids(midsEnv);
+// ===== export parsing (XLSX → typed rows) ====================================
+// The portal export may carry title rows above the header, so the header is the
+// first row (of the first 25) that has a MID-ish column. Each data row becomes
+//   { mid, dba, date: 'YYYY-MM-DD', <camelCasedHeader>: number | string | null, … }
+// Rows without a numeric MID (totals, blank lines) are dropped.
+function headerKey(h) {
+  const words = String(h || '').replace(/[^A-Za-z0-9]+/g, ' ').trim().toLowerCase().split(' ').filter(Boolean);
+  return words.map((w, i) => (i ? w[0].toUpperCase() + w.slice(1) : w)).join('') || null;
+}
+function cellValue(v) {
+  if (v == null) return null;
+  if (v instanceof Date) return v;
+  if (typeof v === 'object') {
+    if ('result' in v) return cellValue(v.result);             // formula
+    if (Array.isArray(v.richText)) return v.richText.map(t => t.text).join('');
+    if ('text' in v) return String(v.text);                     // hyperlink
+    return null;
+  }
+  return v;
+}
+// "$1,234.56" → 1234.56, "(12.00)" → -12; null when it isn't a number
+function parseAmount(v) {
+  if (typeof v === 'number') return v;
+  const s = String(v ?? '').trim();
+  if (!/^\(?-?\$?\s*[\d,]*\.?\d+\)?$/.test(s)) return null;
+  const n = Number(s.replace(/[$,\s()]/g, ''));
+  if (!Number.isFinite(n)) return null;
+  return /^\(.*\)$/.test(s) ? -Math.abs(n) : n;
+}
+// Date cell or "09/02/2025" / "2025-09-02" → "2025-09-02"
+function parseSheetDate(v) {
+  if (v instanceof Date) return v.toISOString().slice(0, 10); // exceljs dates are UTC midnight
+  const s = String(v ?? '').trim();
+  let m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  if (m) return `${m[3]}-${m[1].padStart(2, '0')}-${m[2].padStart(2, '0')}`;
+  m = s.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : null;
+}
 
-  const mf = env('MERCHANTS_FILE', 'merchants.json');
-  const mp = path.join(ROOT, mf);
-  if (!fs.existsSync(mp)) return [];
-  const raw = JSON.parse(fs.readFileSync(mp, 'utf-8'));
-  if (raw && typeof raw === 'object' && Array.isArray(raw.merchant_ids)) {
-    return uniqueMids(raw.merchant_ids.map(String));
-  }
-  if (Array.isArray(raw)) {
-    const idKeys = ['merchant id', 'merchant_id', 'mid', 'id'];
-    const list = [];
-    for (const item of raw) {
-      if (item == null) continue;
-      if (typeof item === 'string') list.push(String(item));
-      else {
-        for (const k of Object.keys(item)) {
-          const kl = k.toLowerCase().trim();
-          if (idKeys.includes(kl)) { list.push(String(item[k]).trim()); break; }
-        }
-      }
+const MID_HEADER_RX = /^(mid|merchant\s*(id|number|#|no\.?))$/i;
+function findExportHeader(ws, filePath = '') {
+  let headerRow = null;
+  for (let r = 1; r <= Math.min(ws.rowCount, 25) && !headerRow; r++) {
+    const vals = ws.getRow(r).values.map(cellValue);
+    if (vals.some(v => MID_HEADER_RX.test(String(v ?? '').trim()))) headerRow = r;
+  }
+  if (!headerRow) throw new Error(`No header row with a MID column in ${path.basename(filePath)}`);
+
+  const headers = [];
+  ws.getRow(headerRow).eachCell((c, col) => {
+    const label = String(cellValue(c.value) ?? '').trim();
+    if (label) headers.push({ col, label, key: headerKey(label) });
+  });
+  const midCol = headers.find(h => MID_HEADER_RX.test(h.label)).col;
+  return { headerRow, headers, midCol };
+}
+
+// → { headers, rows, noActivity: [{ mid, text }] } — noActivity holds the sheet's
+// "no activity" lines (mid: null when the line doesn't name one)
+async function parseExportRows(filePath, { defaultDate = null } = {}) {
+  const wb = new ExcelJS.Workbook();
+  await wb.xlsx.readFile(filePath);
+  const ws = wb.worksheets[0];
+  if (!ws) return { headers: [], rows: [], noActivity: [] };
+
+  const { headerRow, headers, midCol } = findExportHeader(ws, filePath);
+  const find = (rx) => headers.find(h => rx.test(h.label));
+  const midH  = headers.find(h => h.col === midCol);
+  const dbaH  = find(/\bdba\b/i) || find(/merchant\s*name|^name$/i);
+  const dateH = find(/file\s*date/i) || find(/\bdate\b/i);
+
+  const rows = [];
+  const noActivity = [];
+  for (let r = headerRow + 1; r <= ws.rowCount; r++) {
+    const xr = ws.getRow(r);
+    const mid = String(cellValue(xr.getCell(midH.col).value) ?? '').trim().match(/^\d{6,}/)?.[0];
+    const text = xr.values.map(cellValue).filter(v => v != null && v !== '').join(' ');
+    if (NO_ACTIVITY_RX.test(text)) noActivity.push({ mid: mid || text.match(/\b\d{6,}\b/)?.[0] || null, text });
+    if (!mid) continue;
+
+    const row = {
+      mid,
+      dba: dbaH ? String(cellValue(xr.getCell(dbaH.col).value) ?? '').trim() || null : null,
+      date: (dateH && parseSheetDate(cellValue(xr.getCell(dateH.col).value))) || defaultDate,
+    };
+    for (const h of headers) {
+      if (h === midH || h === dbaH || h === dateH || !h.key || h.key in row) continue;
+      const v = cellValue(xr.getCell(h.col).value);
+      if (v == null || v === '') { row[h.key] = null; continue; }
+      if (v instanceof Date) { row[h.key] = v.toISOString().slice(0, 10); continue; }
+      const n = parseAmount(v);
+      row[h.key] = n != null ? n : String(v).trim();
     }
-    return uniqueMids(list);
+    rows.push(row);
   }
-  return [];
+  return { headers: headers.map(h => h.label), rows, noActivity };
 }
 
-// ===== diagnostics ===========================================================
-async function saveArtifacts(page, label, diagDir) {
-  try {
+// ===== output formats (CSV / JSON) ===========================================
+// CSV and JSON are written from the parsed rows, so both share stable column
+// names: mid, dba, date, then the camelCased export headers in sheet order.
+//   CSV   header row of those names; numbers unformatted, null → empty
+//   JSON  { report, range, generatedAt, columns: [{ key, label, type }], rows }
+function exportColumns({ headers, rows }) {
+  const cols = [{ key: 'mid', label: 'MID' }, { key: 'dba', label: 'DBA' }, { key: 'date', label: 'Date' }];
+  const seen = new Set(cols.map(c => c.key));
+  for (const label of headers) {
+    const key = headerKey(label);
+    if (!key || seen.has(key) || !rows.some(r => key in r)) continue;
+    seen.add(key);
+    cols.push({ key, label });
+  }
+  return cols.map(c => ({
+    ...c,
+    type: c.key === 'date' ? 'date'
+      : c.key !== 'mid' && rows.some(r => typeof r[c.key] === 'number') && rows.every(r => r[c.key] == null || typeof r[c.key] === 'number') ? 'number'
+        : 'string',
+  }));
+}
+
+function csvCell(v) {
+  if (v == null) return '';
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// parsed rows → { csv?: path, json?: path } for the non-xlsx formats asked for
+function writeFormatFiles(parsed, formats, outDir, baseName, meta = {}) {
+  const out = {};
+  const cols = exportColumns(parsed);
+  const typed = (r, c) => (c.type === 'number' ? (r[c.key] ?? null) : r[c.key] == null ? null : String(r[c.key]));
+  if (formats.includes('csv')) {
+    const lines = [cols.map(c => c.key).join(','), ...parsed.rows.map(r => cols.map(c => csvCell(typed(r, c))).join(','))];
+    out.csv = path.join(outDir, `${baseName}.csv`);
+    fs.writeFileSync(out.csv, `${lines.join('\r\n')}\r\n`);
+  }
+  if (formats.includes('json')) {
+    out.json = path.join(outDir, `${baseName}.json`);
+    fs.writeFileSync(out.json, JSON.stringify({
+      ...meta,
+      generatedAt: new Date().toISOString(),
+      columns: cols,
+      rows: parsed.rows.map(r => Object.fromEntries(cols.map(c => [c.key, typed(r, c)]))),
+    }, null, 2));
+  }
+  return out;
+}
+
+// ===== export datastore (MongoDB) ============================================
+// Parsed rows go to MONGODB_ROWS_COLLECTION (default "net_ach_rows"), keyed by
+// { report, mid, date, line } where line numbers repeats of the same MID+date
+// within one export. Storing an export first removes that report's rows for the
+// whole range (only the requested MIDs, when given), so a re-run replaces a day
+// — including MIDs that dropped to no rows — and nothing is ever duplicated.
+let rowsIndexed = false;
+async function storeExportRows(rows, meta = {}, { start, end, mids = [] } = {}) {
+  const db = await getDb();
+  if (!db) return { stored: 0, skipped: 'MONGODB_URI not set' };
+  const col = db.collection(env('MONGODB_ROWS_COLLECTION', 'net_ach_rows'));
+  if (!rowsIndexed) {
+    rowsIndexed = true;
+    await col.dropIndex('mid_1_date_1_line_1').catch(() => {}); // pre-report key
+    await col.createIndex({ report: 1, mid: 1, date: 1, line: 1 }, { unique: true }).catch(() => {});
+    await col.createIndex({ date: 1 }).catch(() => {});
+  }
+
+  const report = meta.report || null;
+  const ops = [];
+  if (start && end) {
+    ops.push({ deleteMany: { filter: {
+      'source.report': report, date: { $gte: start, $lte: end }, ...(mids.length ? { mid: { $in: mids } } : {}),
+    } } });
+  }
+  const counts = new Map(); // "mid|date" → rows seen
+  const now = new Date();
+  for (const row of rows) {
+    if (!row.date) continue;
+    const k = `${row.mid}|${row.date}`;
+    const line = counts.get(k) || 0;
+    counts.set(k, line + 1);
+    ops.push({
+      updateOne: {
+        filter: { report, mid: row.mid, date: row.date, line },
+        update: { $set: { ...row, report, line, source: meta, updatedAt: now }, $setOnInsert: { createdAt: now } },
+        upsert: true,
+      },
+    });
+  }
+  if (!ops.length) return { stored: 0 };
+  const r = await col.bulkWrite(ops, { ordered: true });
+  return { stored: r.upsertedCount + r.matchedCount, removed: r.deletedCount };
+}
+
+// ===== reconciliation ========================================================
+// Runs between export and delivery. RECONCILE picks what a failed check does:
+//   hold (default)  the report is held: nothing is ingested, converted or
+//                   emailed, its export moves to <day>/held/ (so a resumed
+//                   backfill pulls it again), the report is marked "held" and
+//                   the run fails (so webhooks and the ALERT_EMAIL_TO alert fire)
+//   warn            the run carries on and the failure is a run warning
+//   off             no checks ("true"/"false" read as hold/off)
+// A report's "reconcile": false skips it. Checks:
+//   rows     the export has at least one row or "no activity" line
+//   mids     every requested MID has rows, or a "no activity" line naming it
+//            (one naming no MID covers the whole export);
+//            up to RECON_MAX_MISSING_MIDS (default 0) may be absent
+//   extra    MIDs in the export the merchant registry doesn't know — flagged only,
+//            unless RECON_HOLD_ON_EXTRA=true
+//   totals   each summary column's daily total is within RECON_MAX_DEVIATION_PCT
+//            (default 50) of its average over the previous RECON_TRAILING_DAYS
+//            (default 7) days in the export datastore; needs MONGODB_URI and
+//            RECON_MIN_HISTORY_DAYS (default 3) days of history, else skipped
+const NO_ACTIVITY_RX = /no\s+activity/i;
+const RECONCILE_MODES = ['off', 'warn', 'hold'];
+
+function reconcileMode() {
+  const v = env('RECONCILE', 'hold').toLowerCase();
+  return RECONCILE_MODES.includes(v) ? v : bool(v, false) ? 'hold' : 'off';
+}
+
+async function trailingDailyTotals(def, columns, mids, startSafe) {
+  const db = await getDb();
+  if (!db || !columns.length) return null;
+  const days = numEnv('RECON_TRAILING_DAYS', 7);
+  const from = fmtYYYY_MM_DD(new Date(+parseDay(startSafe) - days * 86_400_000));
+  const match = { 'source.report': def.key, date: { $gte: from, $lt: startSafe }, ...(mids.length ? { mid: { $in: mids } } : {}) };
+  const group = { _id: '$date', ...Object.fromEntries(columns.map(c => [c.key, { $sum: `$${c.key}` }])) };
+  return db.collection(env('MONGODB_ROWS_COLLECTION', 'net_ach_rows')).aggregate([{ $match: match }, { $group: group }]).toArray();
+}
+
+// → { ok, checks: [{ name, ok, severity: 'hold' | 'warn' | 'skip', detail }] }
+async function reconcileExport(def, parsed, { mids, startSafe, endSafe }) {
+  const checks = [];
+  const add = (name, ok, detail, severity = 'hold') => checks.push({ name, ok, severity, detail });
+  const { rows } = parsed;
+  const idle = parsed.noActivity || [];
+
+  add('rows', rows.length > 0 || idle.length > 0, `${rows.length} row(s)${idle.length ? `, ${idle.length} "no activity" line(s)` : ''}`);
+
+  if (def.mids && mids.length) {
+    // a "no activity" line names its MID, or (without one) covers the whole export
+    const seen = new Set([...rows, ...idle].map(r => r.mid).filter(Boolean));
+    const missing = idle.some(r => !r.mid) ? [] : mids.filter(m => !seen.has(m));
+    const allowed = numEnv('RECON_MAX_MISSING_MIDS', 0);
+    add('mids', missing.length <= allowed, missing.length
+      ? `${missing.length}/${mids.length} MID(s) missing (allowed ${allowed}): ${missing.join(', ')}`
+      : `all ${mids.length} MID(s) accounted for (${idle.length} marked no activity)`);
+  }
+
+  const known = new Set(loadMerchants().map(m => m.mid));
+  if (known.size) {
+    const extra = [...new Set(rows.map(r => r.mid).filter(Boolean))].filter(m => !known.has(m));
+    add('extra', !extra.length, extra.length ? `not in the merchant registry: ${extra.join(', ')}` : 'none',
+      bool(env('RECON_HOLD_ON_EXTRA', 'false'), false) ? 'hold' : 'warn');
+  }
+
+  const sum = summarizeRows(parsed, [], def.summary?.columns || null);
+  let history = null;
+  try { history = await trailingDailyTotals(def, sum.columns, def.mids ? mids : [], startSafe); } catch (e) {
+    add('totals', true, `history unavailable: ${e?.message || e}`, 'skip');
+  }
+  if (history && history.length >= numEnv('RECON_MIN_HISTORY_DAYS', 3)) {
+    const days = Math.max(1, Math.round((+parseDay(endSafe) - +parseDay(startSafe)) / 86_400_000) + 1);
+    const maxPct = numEnv('RECON_MAX_DEVIATION_PCT', 50);
+    const off = [];
+    for (const c of sum.columns) {
+      const avg = history.reduce((t, d) => t + (d[c.key] || 0), 0) / history.length;
+      const daily = sum.totals[c.key] / days;
+      if (Math.abs(avg) < 0.005) continue; // nothing to compare against
+      const pct = Math.abs(daily - avg) / Math.abs(avg) * 100;
+      if (pct > maxPct) off.push(`${c.label} ${fmtMoney(daily)}/day vs ${fmtMoney(avg)} avg (${pct.toFixed(0)}%)`);
+    }
+    add('totals', !off.length, off.length ? `outside ±${maxPct}%: ${off.join('; ')}` : `within ±${maxPct}% of the ${history.length}-day average`);
+  } else if (!checks.some(c => c.name === 'totals')) {
+    add('totals', true, history ? `only ${history.length} day(s) of history — skipped` : 'no datastore (MONGODB_URI) — skipped', 'skip');
+  }
+
+  return { ok: checks.every(c => c.ok || c.severity !== 'hold'), checks };
+}
+
+// ===== merchants loader (optional) ===========================================
+// merchants.json entries may be plain MIDs or objects; besides the MID
+// ("merchant id" / merchant_id / mid / id) and DBA ("dba name" / dba / name)
+// an object can carry
+//   "group":      "west"                       — used by run param `group` and splitBy=group
+//   "tags":       ["ecom"] or "ecom,florida"   — used by run param `tag`
+//   "active":     false                        — left out of group/tag/all-merchant runs (default true)
+//   "recipients": ["owner@x.com"] or "a@x,b@x"  — who gets this merchant's split file
+//   "formats":    ["csv"] or "xlsx,json"        — attachments those recipients get (default: the run's formats)
+// With MONGODB_URI the registry lives in the database instead (see "merchant registry").
+// → [{ mid, dba, group, tags, active, recipients, formats }]
+const MERCHANT_ID_KEYS  = ['merchant id', 'merchant_id', 'merchantid', 'mid', 'id'];
+const MERCHANT_DBA_KEYS = ['dba name', 'dba_name', 'dba', 'name'];
+const bareMerchant = (mid) => ({ mid: String(mid).trim(), dba: null, group: null, tags: [], active: true, recipients: [], formats: [] });
+
+function loadMerchants() {
+  return merchantCache || readMerchantsFile();
+}
+
+function merchantsFilePath() {
+  return path.resolve(ROOT, env('MERCHANTS_FILE', 'merchants.json'));
+}
+
+function readMerchantsFile() {
+  const mp = merchantsFilePath();
+  if (!fs.existsSync(mp)) return [];
+  const raw = JSON.parse(fs.readFileSync(mp, 'utf-8'));
+  if (raw && typeof raw === 'object' && Array.isArray(raw.merchant_ids)) {
+    return raw.merchant_ids.map(bareMerchant);
+  }
+  if (!Array.isArray(raw)) return [];
+
+  const pick = (item, keys) => {
+    for (const k of Object.keys(item)) {
+      if (keys.includes(k.toLowerCase().trim())) return String(item[k] ?? '').trim();
+    }
+    return '';
+  };
+  const idKeys = MERCHANT_ID_KEYS, dbaKeys = MERCHANT_DBA_KEYS;
+  const list = [];
+  for (const item of raw) {
+    if (item == null) continue;
+    if (typeof item !== 'object') { list.push(bareMerchant(item)); continue; }
+    const mid = pick(item, idKeys);
+    if (!mid) continue;
+    list.push({
+      mid,
+      dba: pick(item, dbaKeys) || null,
+      group: String(item.group ?? '').trim() || null,
+      tags: listParam(item.tags),
+      active: item.active == null ? true : bool(String(item.active), true),
+      recipients: listParam(item.recipients),
+      formats: listParam(item.formats).map(f => f.toLowerCase()).filter(f => OUTPUT_FORMATS.includes(f)),
+    });
+  }
+  return list;
+}
+
+// Active registry MIDs for a run target: { group } / { tag } narrow it; without
+// either, MIDS (env) wins unless { all: true } asks for every active merchant.
+function loadMerchantsMids({ group = '', tag = '', all = false } = {}) {
+  const midsEnv = (env('MIDS', '') || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (midsEnv.length && !group && !tag && !all) return uniqueMids(midsEnv);
+  const list = loadMerchants().filter(m => m.active
+    && (!group || m.group === group)
+    && (!tag || m.tags.includes(tag)));
+  return uniqueMids(list.map(m => m.mid));
+}
+
+// ===== merchant registry =====================================================
+// Records are { mid, dba, group, tags, active, recipients, formats, updatedAt }.
+// With MONGODB_URI they live in MONGODB_MERCHANTS_COLLECTION (default
+// "merchants", _id = MID; seeded from merchants.json the first time it is
+// empty) and are cached for the synchronous readers above; otherwise edits are
+// written back to MERCHANTS_FILE. Served by /merchants on the trigger server.
+let merchantCache = null; // null → read MERCHANTS_FILE
+let merchantsSeeded = false;
+const MERCHANT_FIELDS = ['mid', 'dba', 'group', 'tags', 'active', 'recipients', 'formats'];
+
+async function merchantsCollection() {
+  const db = await getDb();
+  return db ? db.collection(env('MONGODB_MERCHANTS_COLLECTION', 'merchants')) : null;
+}
+
+// Call before reading the registry in a long-lived process (runs, server).
+async function refreshMerchants() {
+  const col = await merchantsCollection();
+  if (!col) { merchantCache = null; return loadMerchants(); }
+  if (!merchantsSeeded) {
+    merchantsSeeded = true;
+    if (!(await col.estimatedDocumentCount())) {
+      const seed = readMerchantsFile();
+      const now = new Date().toISOString();
+      if (seed.length) {
+        await col.bulkWrite(seed.map(m => ({ replaceOne: { filter: { _id: m.mid }, replacement: { ...m, updatedAt: now }, upsert: true } })));
+        log.info('merchants', `seeded ${seed.length} merchant(s) from ${path.basename(merchantsFilePath())}`);
+      }
+    }
+  }
+  const docs = await col.find().sort({ _id: 1 }).toArray();
+  merchantCache = docs.map(({ _id, ...m }) => ({ ...bareMerchant(_id), ...m, mid: _id }));
+  return merchantCache;
+}
+
+// POST (partial=false) / PATCH (partial=true) body → { merchant, errors }
+function validateMerchant(body, { partial = false } = {}) {
+  if (body == null || typeof body !== 'object' || Array.isArray(body)) {
+    return { merchant: {}, errors: ['body must be a JSON object'] };
+  }
+  const merchant = {};
+  const errors = [];
+  const has = (k) => body[k] !== undefined;
+  for (const k of Object.keys(body)) {
+    if (!MERCHANT_FIELDS.includes(k)) errors.push(`unknown field: ${k}`);
+  }
+  if (!partial || has('mid')) {
+    const mid = String(body.mid ?? '').trim();
+    if (!/^\d{6,}$/.test(mid)) errors.push('mid must be a numeric MID');
+    else merchant.mid = mid;
+  }
+  for (const k of ['dba', 'group']) {
+    if (has(k)) merchant[k] = body[k] == null ? null : String(body[k]).trim() || null;
+  }
+  if (has('tags')) merchant.tags = [...new Set(listParam(body.tags))];
+  if (has('active')) {
+    if (typeof body.active !== 'boolean') errors.push('active must be true or false');
+    else merchant.active = body.active;
+  }
+  if (has('recipients')) {
+    const to = listParam(body.recipients);
+    const bad = to.filter(a => !/^[^\s@,]+@[^\s@,]+$/.test(a));
+    if (bad.length) errors.push(`recipients has invalid addresses: ${bad.join(', ')}`);
+    else merchant.recipients = to;
+  }
+  if (has('formats')) {
+    const formats = [...new Set(listParam(body.formats).map(f => f.toLowerCase()))];
+    const bad = formats.filter(f => !OUTPUT_FORMATS.includes(f));
+    if (bad.length) errors.push(`formats must be some of: ${OUTPUT_FORMATS.join(', ')}`);
+    else merchant.formats = formats;
+  }
+  return { merchant, errors };
+}
+
+function writeMerchantsFile(list) {
+  const file = merchantsFilePath();
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(list, null, 2) + '\n');
+  fs.renameSync(tmp, file);
+}
+
+// Applies { upsert: [records], remove: [mids] } to the store → the refreshed registry.
+// Upserted records are merged over the existing ones (new MIDs start from bareMerchant).
+async function writeMerchants({ upsert = [], remove = [] }) {
+  const now = new Date().toISOString();
+  const col = await merchantsCollection();
+  if (col) {
+    const current = new Map((await refreshMerchants()).map(m => [m.mid, m]));
+    const ops = [
+      ...upsert.map(m => ({ replaceOne: { filter: { _id: m.mid }, upsert: true,
+        replacement: (({ mid, ...rest }) => rest)({ ...(current.get(m.mid) || bareMerchant(m.mid)), ...m, updatedAt: now }) } })),
+      ...remove.map(mid => ({ deleteOne: { filter: { _id: mid } } })),
+    ];
+    if (ops.length) await col.bulkWrite(ops);
+    return refreshMerchants();
+  }
+  const byMid = new Map(readMerchantsFile().map(m => [m.mid, m]));
+  for (const m of upsert) byMid.set(m.mid, { ...(byMid.get(m.mid) || bareMerchant(m.mid)), ...m, updatedAt: now });
+  for (const mid of remove) byMid.delete(mid);
+  writeMerchantsFile([...byMid.values()]);
+  return readMerchantsFile();
+}
+
+// Portal merchant CSV → [records]. Columns are matched like merchants.json keys
+// (Merchant ID / DBA Name / group / tags / status|active / recipients / formats);
+// a status of closed/inactive/terminated marks the merchant inactive.
+function merchantsFromCsv(text, defaults = {}) {
+  const records = csvParse(text, { columns: true, bom: true, skip_empty_lines: true, trim: true, relax_column_count: true });
+  const col = (row, keys) => {
+    const k = Object.keys(row).find(h => keys.includes(h.toLowerCase().trim()));
+    return k == null ? undefined : row[k];
+  };
+  const out = [];
+  const errors = [];
+  records.forEach((row, i) => {
+    const mid = String(col(row, MERCHANT_ID_KEYS) ?? '').replace(/\s+/g, '').match(/^\d{6,}/)?.[0];
+    if (!mid) { errors.push(`line ${i + 2}: no MID`); return; }
+    const m = { mid, ...defaults };
+    const dba = col(row, MERCHANT_DBA_KEYS);
+    if (dba) m.dba = dba;
+    const group = col(row, ['group']);
+    if (group) m.group = group;
+    const tags = col(row, ['tags', 'tag']);
+    if (tags) m.tags = listParam(tags.replace(/;/g, ','));
+    const status = col(row, ['active', 'status']);
+    if (status) m.active = !/^(false|0|no|off|inactive|closed|terminated|cancel+ed)$/i.test(status);
+    const recipients = col(row, ['recipients', 'email']);
+    if (recipients) m.recipients = listParam(recipients.replace(/;/g, ','));
+    const formats = col(row, ['formats']);
+    if (formats) m.formats = listParam(formats).map(f => f.toLowerCase()).filter(f => OUTPUT_FORMATS.includes(f));
+    out.push(m);
+  });
+  return { merchants: out, errors };
+}
+
+// ===== split export (per merchant / DBA / group) =============================
+// splitBy=merchant → one file per MID, sent to that merchant's recipients
+// splitBy=dba      → one file per DBA name, MIDs sharing a DBA go together
+//                    (a merchant without a DBA gets its own file, by MID)
+// splitBy=group    → one file per group, sent to the union of its merchants'
+//                    recipients (merchants without a group are left out)
+// Splits copy the original sheet's title rows, header and data rows verbatim.
+// → [{ key, label, mids, recipients, formats }] (formats [] = the run's formats)
+function planSplits(splitBy, mids) {
+  if (!['merchant', 'dba', 'group'].includes(splitBy)) return [];
+  const byMid = new Map(loadMerchants().map(m => [m.mid, m]));
+  const plans = new Map();
+  for (const mid of mids) {
+    const m = byMid.get(mid) || bareMerchant(mid);
+    const key = splitBy === 'merchant' ? mid : splitBy === 'dba' ? (m.dba || mid) : m.group;
+    if (!key) continue;
+    if (!plans.has(key)) {
+      plans.set(key, { key, label: splitBy === 'group' ? key : (m.dba || mid), mids: [], recipients: [], formats: [] });
+    }
+    const p = plans.get(key);
+    p.mids.push(mid);
+    for (const r of m.recipients) if (!p.recipients.includes(r)) p.recipients.push(r);
+    for (const f of m.formats) if (!p.formats.includes(f)) p.formats.push(f);
+  }
+  return [...plans.values()];
+}
+
+function fileSlug(s) {
+  return String(s).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'x';
+}
+
+// → [{ ...plan, file, rows }] — plans with no rows in the export get file: null
+async function writeSplitFiles(srcPath, plans, outDir, baseName) {
+  if (!plans.length) return [];
+  const src = new ExcelJS.Workbook();
+  await src.xlsx.readFile(srcPath);
+  const ws = src.worksheets[0];
+  const { headerRow, midCol } = findExportHeader(ws, srcPath);
+
+  const out = [];
+  for (const plan of plans) {
+    const want = new Set(plan.mids);
+    const dst = new ExcelJS.Workbook();
+    const dws = dst.addWorksheet(ws.name);
+    ws.columns?.forEach((c, i) => { if (c.width) dws.getColumn(i + 1).width = c.width; });
+
+    const copy = (r) => {
+      const nr = dws.addRow(ws.getRow(r).values.slice(1));
+      ws.getRow(r).eachCell({ includeEmpty: true }, (c, col) => { nr.getCell(col).style = c.style; });
+    };
+    for (let r = 1; r <= headerRow; r++) copy(r);
+    let rows = 0;
+    for (let r = headerRow + 1; r <= ws.rowCount; r++) {
+      const mid = String(cellValue(ws.getRow(r).getCell(midCol).value) ?? '').trim().match(/^\d{6,}/)?.[0];
+      if (mid && want.has(mid)) { copy(r); rows++; }
+    }
+
+    if (!rows) { out.push({ ...plan, file: null, rows: 0 }); continue; }
+    const file = path.join(outDir, `${baseName}-${fileSlug(plan.key)}.xlsx`);
+    await dst.xlsx.writeFile(file);
+    out.push({ ...plan, file, rows });
+  }
+  return out;
+}
+
+// ===== email templates + export summary ======================================
+// Report emails are rendered from TEMPLATES_DIR (default templates/):
+// <name>.html and <name>.txt, name = the report's "template" (default "report").
+// {{var}} is HTML-escaped in .html templates, {{{var}}} is inserted as is.
+// Variables: reportName, title, range, start, end, runId, fileName, label, labelSuffix,
+// generatedAt, merchantCount, activeCount, noActivityCount, rowCount,
+// summaryTable (HTML), summaryText, totalsText.
+// The summary rolls the parsed export up per MID: row count plus the sums of
+// the amount-like numeric columns, or of the report's summary.columns.
+const TEMPLATES_DIR = path.resolve(ROOT, env('TEMPLATES_DIR', 'templates'));
+const SUMMARY_COLUMN_RX = /amount|total|net|sales|fee|deposit|credit|debit|refund|chargeback|adjust|reserve/i;
+
+const escapeHtml = (v) => String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+const fmtMoney = (n) => Number(n || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+function fillTemplate(tpl, vars, html) {
+  return tpl.replace(/\{\{\{\s*(\w+)\s*\}\}\}|\{\{\s*(\w+)\s*\}\}/g, (_, raw, name) => {
+    const v = vars[raw || name];
+    return raw || !html ? String(v ?? '') : escapeHtml(v);
+  });
+}
+
+// → { html, text }; a missing template file gives null for that part
+function renderEmailTemplate(name, vars) {
+  const read = (ext) => {
+    const f = path.join(TEMPLATES_DIR, `${name}.${ext}`);
+    return fs.existsSync(f) ? fs.readFileSync(f, 'utf-8') : null;
+  };
+  const html = read('html');
+  const text = read('txt');
+  return { html: html && fillTemplate(html, vars, true), text: text && fillTemplate(text, vars, false) };
+}
+
+// parsed rows → { columns: [{ key, label }], merchants: [{ mid, dba, rows, totals }], totals,
+//   rowCount, activeCount, noActivity: [mid] }; `mids` = the merchants asked for
+function summarizeRows({ headers, rows }, mids = [], columns = null) {
+  const skip = /^(mid|dba|date)$/;
+  const candidates = headers.map(label => ({ label, key: headerKey(label) }))
+    .filter(c => c.key && !skip.test(c.key) && !MID_HEADER_RX.test(c.label));
+  const numeric = (k) => rows.some(r => typeof r[k] === 'number') && rows.every(r => r[k] == null || typeof r[k] === 'number');
+  const wanted = columns ? new Set(columns.map(c => headerKey(c))) : null;
+  const cols = candidates.filter(c => numeric(c.key) && (wanted ? wanted.has(c.key) : SUMMARY_COLUMN_RX.test(c.label)));
+
+  const registry = new Map(loadMerchants().map(m => [m.mid, m]));
+  const byMid = new Map();
+  const entry = (mid) => {
+    if (!byMid.has(mid)) byMid.set(mid, { mid, dba: registry.get(mid)?.dba || null, rows: 0, totals: Object.fromEntries(cols.map(c => [c.key, 0])) });
+    return byMid.get(mid);
+  };
+  for (const mid of mids) entry(mid);
+  for (const r of rows) {
+    const m = entry(r.mid);
+    m.rows++;
+    if (r.dba) m.dba = r.dba;
+    for (const c of cols) m.totals[c.key] += r[c.key] || 0;
+  }
+  const merchants = [...byMid.values()].sort((a, b) => (b.rows > 0) - (a.rows > 0) || String(a.dba || a.mid).localeCompare(String(b.dba || b.mid)));
+  const totals = Object.fromEntries(cols.map(c => [c.key, merchants.reduce((t, m) => t + m.totals[c.key], 0)]));
+  return {
+    columns: cols, merchants, totals, rowCount: rows.length,
+    activeCount: merchants.filter(m => m.rows).length,
+    noActivity: merchants.filter(m => !m.rows).map(m => m.mid),
+  };
+}
+
+function summaryHtml(sum) {
+  const th = 'style="text-align:left;padding:4px 8px;border-bottom:2px solid #444"';
+  const td = 'style="padding:4px 8px;border-bottom:1px solid #ddd"';
+  const num = 'style="padding:4px 8px;border-bottom:1px solid #ddd;text-align:right;white-space:nowrap"';
+  const head = ['MID', 'DBA', 'Rows', ...sum.columns.map(c => c.label)].map(h => `<th ${th}>${escapeHtml(h)}</th>`).join('');
+  const body = sum.merchants.map(m => `<tr${m.rows ? '' : ' style="color:#888"'}><td ${td}>${escapeHtml(m.mid)}</td><td ${td}>${escapeHtml(m.dba || '')}</td>`
+    + `<td ${num}>${m.rows || 'no activity'}</td>${sum.columns.map(c => `<td ${num}>${fmtMoney(m.totals[c.key])}</td>`).join('')}</tr>`).join('\n');
+  const foot = `<tr style="font-weight:bold"><td ${td}>Total</td><td ${td}>${sum.activeCount} active / ${sum.noActivity.length} no activity</td>`
+    + `<td ${num}>${sum.rowCount}</td>${sum.columns.map(c => `<td ${num}>${fmtMoney(sum.totals[c.key])}</td>`).join('')}</tr>`;
+  return `<table style="border-collapse:collapse;font-family:Arial,sans-serif;font-size:13px">\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body}\n</tbody>\n<tfoot>${foot}</tfoot>\n</table>`;
+}
+
+function summaryText(sum) {
+  const table = [
+    ['MID', 'DBA', 'Rows', ...sum.columns.map(c => c.label)],
+    ...sum.merchants.map(m => [m.mid, m.dba || '', m.rows ? String(m.rows) : 'no activity', ...sum.columns.map(c => fmtMoney(m.totals[c.key]))]),
+    ['Total', '', String(sum.rowCount), ...sum.columns.map(c => fmtMoney(sum.totals[c.key]))],
+  ];
+  const widths = table[0].map((_, i) => Math.max(...table.map(r => r[i].length)));
+  return table.map(r => r.map((v, i) => (i < 2 ? v.padEnd(widths[i]) : v.padStart(widths[i]))).join('  ').trimEnd()).join('\n');
+}
+
+// text/html bodies for one export email; summary is skipped when the rows couldn't be parsed
+function reportEmailBody(def, { parsed, mids, start, end, runId, file, label = '' }) {
+  const sum = parsed ? summarizeRows(parsed, mids, def.summary?.columns || null) : null;
+  const vars = {
+    reportName: def.name, title: def.title || def.name, range: humanRange(start, end),
+    start: fmtMMDDYYYY(start), end: fmtMMDDYYYY(end), runId, fileName: path.basename(file), label,
+    labelSuffix: label ? ` · ${label}` : '',
+    generatedAt: new Date().toLocaleString('en-US', { timeZone: DATE_TZ }),
+    merchantCount: sum ? sum.merchants.length : '', activeCount: sum ? sum.activeCount : '',
+    noActivityCount: sum ? sum.noActivity.length : '', rowCount: sum ? sum.rowCount : '',
+    summaryTable: sum ? summaryHtml(sum) : '<p>(summary unavailable — see the attachment)</p>',
+    summaryText: sum ? summaryText(sum) : '(summary unavailable — see the attachment)',
+    totalsText: sum ? sum.columns.map(c => `${c.label}: ${fmtMoney(sum.totals[c.key])}`).join(', ') : '',
+  };
+  const { html, text } = renderEmailTemplate(def.template || 'report', vars);
+  return {
+    html,
+    text: process.env.EMAIL_BODY || text
+      || `Attached is the ${def.name} export${label ? ` for ${label}` : ''}, ${vars.start} → ${vars.end}.`,
+  };
+}
+
+// ===== diagnostics ===========================================================
+async function saveArtifacts(page, label, diagDir = path.join(ERROR_SHOTS, 'export_diag')) {
+  try {
+    const worker = currentWorker()?.id;
+    if (worker) diagDir = path.join(diagDir, worker);
     fs.mkdirSync(diagDir, { recursive: true });
     const stamp = () => new Date().toISOString().replace(/[:.]/g, '-');
     const sPath = path.join(diagDir, `${stamp()}-${label}.png`);
     const hPath = path.join(diagDir, `${stamp()}-${label}.html`);
     await page.screenshot({ path: sPath, fullPage: true }).catch(()=>{});
     await fs.promises.writeFile(hPath, await page.content()).catch(()=>{});
-    console.log('[ARTIFACTS]', sPath, '|', hPath);
+    log.info('artifacts', `saved ${label}`, { screenshot: sPath, html: hPath });
+    currentRun()?.artifacts.push(sPath, hPath);
   } catch {}
 }
 
+// ===== run history (MongoDB) =================================================
+// Every main() call is one run record. MONGODB_URI enables persistence
+// (db MONGODB_DB, collection MONGODB_RUNS_COLLECTION); without it runs are kept
+// in memory for this process only. Store errors are logged, never fatal.
+//
+// { id, trigger, status: queued|running|succeeded|failed|cancelled, params, range: { start, end },
+//   midCount, steps: [{ name, report?, worker?, startedAt, ms, ok, error? }], failedStep, error,
+//   mfa (while waiting on manual entry), warnings: [msg], midMisses: [mid],
+//   reports: [{ key, name, range, status: running|succeeded|failed|held, error, midMethod: hidden|query|typed, output,
+//               outputs: { xlsx, csv?, json? }, recon: { ok, checks: [{ name, ok, severity, detail }] }, held?, ingest, email,
+//               splits: [{ key, label, mids, rows, file, outputs, email }] }],
+//   backfill?: { chunkDays, chunks, skipped, done, failed: [chunk starts], progressFile },
+//   discovery?: { portal, added, missing, renamed, file, csv, written, deactivated?, email },
+//   webhooks: [{ host, type, ok, status?, error?, attempts }], alert: { sent, to, attachments } | null, logFile,
+//   artifacts: [paths], queuedAt, startedAt, finishedAt, durationMs }
+let mongoClientP = null;
+async function getDb() {
+  const uri = env('MONGODB_URI', '');
+  if (!uri) return null;
+  if (!mongoClientP) {
+    mongoClientP = MongoClient.connect(uri, { serverSelectionTimeoutMS: numEnv('MONGODB_TIMEOUT_MS', 5000) })
+      .catch((e) => { mongoClientP = null; throw e; });
+  }
+  return (await mongoClientP).db(env('MONGODB_DB', 'midreport'));
+}
+async function closeDb() {
+  if (!mongoClientP) return;
+  const p = mongoClientP;
+  mongoClientP = null;
+  try { await (await p).close(); } catch {}
+}
+
+const memRuns = new Map(); // id → run (no MONGODB_URI)
+const MEM_RUNS_MAX = 200;
+let runsIndexed = false;
+async function runsCollection() {
+  const db = await getDb();
+  if (!db) return null;
+  const col = db.collection(env('MONGODB_RUNS_COLLECTION', 'runs'));
+  if (!runsIndexed) {
+    runsIndexed = true;
+    await col.createIndex({ startedAt: -1 }).catch(() => {});
+  }
+  return col;
+}
+
+async function saveRun(run) {
+  try {
+    const col = await runsCollection();
+    if (!col) {
+      memRuns.set(run.id, run);
+      while (memRuns.size > MEM_RUNS_MAX) memRuns.delete(memRuns.keys().next().value);
+      return;
+    }
+    const { id, ...doc } = run;
+    await col.replaceOne({ _id: id }, doc, { upsert: true });
+  } catch (e) {
+    log.warn('runs', 'save failed', { error: e?.message || String(e) });
+  }
+}
+function runFromDoc(doc) {
+  if (!doc) return null;
+  const { _id, ...rest } = doc;
+  return { id: _id, ...rest };
+}
+async function getRun(id) {
+  const col = await runsCollection();
+  if (!col) return memRuns.get(id) || null;
+  return runFromDoc(await col.findOne({ _id: id }));
+}
+// newest first; page is 1-based
+async function listRuns({ page = 1, limit = 20 } = {}) {
+  const col = await runsCollection();
+  if (!col) {
+    const at = (r) => r.startedAt || r.queuedAt || '';
+    const all = [...memRuns.values()].sort((a, b) => (at(a) < at(b) ? 1 : -1));
+    return { page, limit, total: all.length, items: all.slice((page - 1) * limit, page * limit) };
+  }
+  const [total, docs] = await Promise.all([
+    col.countDocuments(),
+    col.find().sort({ startedAt: -1 }).skip((page - 1) * limit).limit(limit).toArray(),
+  ]);
+  return { page, limit, total, items: docs.map(runFromDoc) };
+}
+
+// the run the current async call chain belongs to (set by main)
+const runStorage = new AsyncLocalStorage();
+function currentRun() { return runStorage.getStore() || null; }
+// the parallel worker (see "parallel workers") the call chain runs on, if any
+const workerStorage = new AsyncLocalStorage();
+function currentWorker() { return workerStorage.getStore() || null; }
+
+function newRun(params = {}, opts = {}) {
+  return {
+    id: opts.runId || randomUUID(),
+    trigger: opts.trigger || 'cli',
+    status: 'running',
+    params,
+    range: null,
+    midCount: null,
+    steps: [],
+    failedStep: null,
+    mfa: null,
+    error: null,
+    warnings: [],
+    midMisses: [],
+    webhooks: [],
+    alert: null,
+    logFile: null,
+    reports: [],
+    artifacts: [],
+    queuedAt: opts.queuedAt || null,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    durationMs: null,
+  };
+}
+// steps are sequential: starting one closes the previous
+// the latest step of the calling worker (or of the main flow outside workers)
+function currentStep(run) {
+  const worker = currentWorker()?.id || null;
+  for (let i = run.steps.length - 1; i >= 0; i--) {
+    if ((run.steps[i].worker || null) === worker) return run.steps[i];
+  }
+  return null;
+}
+function beginStep(run, name, report = null) {
+  endStep(run);
+  const worker = currentWorker()?.id;
+  run.steps.push({ name, ...(report ? { report } : {}), ...(worker ? { worker } : {}), startedAt: new Date().toISOString(), ms: null, ok: null });
+  log.debug('step', `${name} started`);
+  emitProgress('step.started', {}, run);
+}
+function endStep(run, err = null) {
+  const s = currentStep(run);
+  if (!s || s.ms != null) return;
+  s.ms = Date.now() - Date.parse(s.startedAt);
+  s.ok = !err;
+  if (err) s.error = err?.message || String(err);
+  log[err ? 'warn' : 'info']('step', `${s.name} ${err ? 'failed' : 'ok'}`, { step: s.name, report: s.report, ms: s.ms, error: s.error });
+  observeMetric(METRICS.stepSeconds, { step: s.name, outcome: err ? 'error' : 'ok' }, s.ms / 1000);
+  emitProgress('step.finished', { ok: s.ok, ms: s.ms, ...(err ? { error: s.error } : {}) }, run);
+}
+
+// ===== metrics (Prometheus) ==================================================
+// In-process registry rendered by GET /metrics in the text exposition format.
+// Only runs executed by this process are counted (server mode).
+const METRIC_PREFIX = 'midreport_';
+const metricDefs = new Map(); // name → { type, help, labels, buckets?, series: Map(labelKey → value) }
+
+function defineMetric(type, name, help, labels = [], buckets = null) {
+  const m = { type, help, labels, buckets, series: new Map() };
+  if (!labels.length && type === 'counter') m.series.set('[]', 0); // unlabeled counters start at 0
+  metricDefs.set(METRIC_PREFIX + name, m);
+  return m;
+}
+const labelKey = (m, values) => JSON.stringify(m.labels.map(l => String(values[l] ?? '')));
+
+function incMetric(m, values = {}, by = 1) {
+  const k = labelKey(m, values);
+  m.series.set(k, (m.series.get(k) || 0) + by);
+}
+function setMetric(m, values, v) {
+  m.series.set(labelKey(m, values), v);
+}
+function observeMetric(m, values, v) {
+  const k = labelKey(m, values);
+  let h = m.series.get(k);
+  if (!h) m.series.set(k, h = { counts: m.buckets.map(() => 0), sum: 0, count: 0 });
+  m.buckets.forEach((b, i) => { if (v <= b) h.counts[i]++; });
+  h.sum += v;
+  h.count++;
+}
+
+const METRICS = {
+  runsStarted:   defineMetric('counter', 'runs_started_total', 'Runs started', ['trigger']),
+  runsSucceeded: defineMetric('counter', 'runs_succeeded_total', 'Runs that finished without error', ['trigger']),
+  runsFailed:    defineMetric('counter', 'runs_failed_total', 'Failed runs by the step that failed', ['trigger', 'step']),
+  stepSeconds:   defineMetric('histogram', 'step_duration_seconds', 'Duration of run steps (login, mfa, mids, load, export, …)',
+    ['step', 'outcome'], [1, 2.5, 5, 10, 20, 30, 60, 120, 300, 600]),
+  mfaAttempts:   defineMetric('counter', 'mfa_attempts_total', 'MFA codes submitted', ['provider']),
+  mfaRejected:   defineMetric('counter', 'mfa_rejected_total', 'MFA codes the portal did not accept'),
+  imapPolls:     defineMetric('counter', 'imap_polls_total', 'Mailbox polls for an MFA code', ['result']),
+  midMisses:     defineMetric('counter', 'mid_add_failures_total', 'MIDs that could not be added as chips'),
+  lastExport:    defineMetric('gauge', 'last_successful_export_timestamp_seconds', 'Unix time of the last saved export', ['report']),
+  reportsHeld:   defineMetric('counter', 'reports_held_total', 'Exports held back by failed reconciliation checks', ['report']),
+};
+
+const fmtLabels = (m, k, extra = []) => {
+  const pairs = JSON.parse(k).map((v, i) => [m.labels[i], v]).concat(extra);
+  return pairs.length ? `{${pairs.map(([l, v]) => `${l}="${String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`).join(',')}}` : '';
+};
+
+// gauges computed at scrape time (e.g. queue depth) → [{ name, help, value }]
+function renderMetrics(extraGauges = []) {
+  const out = [];
+  for (const [name, m] of metricDefs) {
+    out.push(`# HELP ${name} ${m.help}`, `# TYPE ${name} ${m.type}`);
+    for (const [k, v] of m.series) {
+      if (m.type !== 'histogram') { out.push(`${name}${fmtLabels(m, k)} ${v}`); continue; }
+      m.buckets.forEach((b, i) => out.push(`${name}_bucket${fmtLabels(m, k, [['le', b]])} ${v.counts[i]}`));
+      out.push(`${name}_bucket${fmtLabels(m, k, [['le', '+Inf']])} ${v.count}`);
+      out.push(`${name}_sum${fmtLabels(m, k)} ${v.sum}`, `${name}_count${fmtLabels(m, k)} ${v.count}`);
+    }
+  }
+  for (const g of extraGauges) {
+    out.push(`# HELP ${METRIC_PREFIX}${g.name} ${g.help}`, `# TYPE ${METRIC_PREFIX}${g.name} gauge`, `${METRIC_PREFIX}${g.name} ${g.value}`);
+  }
+  return `${out.join('\n')}\n`;
+}
+
+// ===== run progress events ===================================================
+// Structured progress for live views (GET /runs/:id/events, SSE). Every event
+// is { id, runId, at, type, step, report, ...data }; ids count up per run.
+// Events are buffered per run so a late subscriber replays what it missed;
+// buffers of the last PROGRESS_KEEP_RUNS finished runs are kept in memory.
+//   run.started / run.finished   step.started / step.finished
+//   mids.added / mids.missing    mfa.attempt / mfa.rejected / mfa.waiting
+//   export.saved                 email.sent / email.failed     backfill.chunk
+const progressBus = new EventEmitter();
+progressBus.setMaxListeners(0);
+const progressBuffers = new Map(); // runId → { seq, events, done }
+const PROGRESS_MAX_EVENTS = 1000;
+
+function emitProgress(type, data = {}, run = currentRun()) {
+  if (!run) return null;
+  let buf = progressBuffers.get(run.id);
+  if (!buf) {
+    buf = { seq: 0, events: [], done: false };
+    progressBuffers.set(run.id, buf);
+    const keep = numEnv('PROGRESS_KEEP_RUNS', 20);
+    const finished = [...progressBuffers].filter(([, b]) => b.done);
+    for (const [id] of finished.slice(0, Math.max(0, finished.length - keep))) progressBuffers.delete(id);
+  }
+  const step = currentStep(run);
+  const worker = currentWorker()?.id;
+  const ev = {
+    id: ++buf.seq, runId: run.id, at: new Date().toISOString(), type,
+    step: step?.name ?? null, report: step?.report ?? null, ...(worker ? { worker } : {}), ...data,
+  };
+  buf.events.push(ev);
+  if (buf.events.length > PROGRESS_MAX_EVENTS) buf.events.shift();
+  if (type === 'run.finished') buf.done = true;
+  progressBus.emit(run.id, ev);
+  return ev;
+}
+
+// buffered events after `afterId` → { events, done } | null (nothing buffered for this run)
+function progressSince(runId, afterId = 0) {
+  const buf = progressBuffers.get(runId);
+  if (!buf) return null;
+  return { events: buf.events.filter(e => e.id > afterId), done: buf.done };
+}
+
+// subscribe to one run's events → unsubscribe fn
+function onProgress(runId, fn) {
+  progressBus.on(runId, fn);
+  return () => progressBus.off(runId, fn);
+}
+
 // ===== main run ==============================================================
-async function main() {
-  const { start, end } = parseRangeFromEnv();
-  console.log('▶️  Net ACH Export (Node) starting');
-  console.log(`Node: ${process.version} (${process.platform} ${process.arch})`);
-  console.log(`CWD: ${process.cwd()}`);
-  console.log(`Start: ${new Date().toISOString()}`);
-const startSafe = fmtYYYY_MM_DD(start);
-const endSafe   = fmtYYYY_MM_DD(end);
-function humanRange(start, end) {
-  const sameDay = +nyStartOfDay(start) === +nyStartOfDay(end);
+// Resolves to the finished run record (see "run history"); a failed run sets
+// process.exitCode = 1 instead of throwing.
+async function main(params = {}, opts = {}) {
+  return withRun(params, opts, executeRun);
+}
 
-  const fmtMDY = new Intl.DateTimeFormat('en-US', {
-    timeZone: DATE_TZ, year: 'numeric', month: 'short', day: 'numeric'
+async function withRun(params, opts, execute) {
+  const run = newRun(params, opts);
+  openRunLog(run);
+  await saveRun(run);
+  return runStorage.run(run, async () => {
+    log.info('run', `${run.id} started`, { trigger: run.trigger, params });
+    incMetric(METRICS.runsStarted, { trigger: run.trigger });
+    emitProgress('run.started', { trigger: run.trigger, params }, run);
+    try {
+      await execute(run, params, opts);
+    } catch (e) {
+      endStep(run, e);
+      run.error = e?.message || String(e);
+      log.error('run', 'failed', { error: run.error });
+      process.exitCode = 1;
+    }
+    endStep(run);
+    if (run.error && !run.failedStep) run.failedStep = run.steps.find(s => s.ok === false)?.name || 'setup';
+    run.status = run.error ? 'failed' : 'succeeded';
+    run.finishedAt = new Date().toISOString();
+    run.durationMs = Date.parse(run.finishedAt) - Date.parse(run.startedAt);
+    log[run.error ? 'error' : 'info']('run', `${run.id} ${run.status}`, { durationMs: run.durationMs, failedStep: run.failedStep || undefined });
+    run.webhooks = await notifyWebhooks(run);
+    run.alert = await sendFailureAlert(run);
+    closeRunLog(run);
+    if (run.error) incMetric(METRICS.runsFailed, { trigger: run.trigger, step: run.failedStep || 'unknown' });
+    else incMetric(METRICS.runsSucceeded, { trigger: run.trigger });
+    await saveRun(run);
+    emitProgress('run.finished', { status: run.status, error: run.error, failedStep: run.failedStep, durationMs: run.durationMs }, run);
+    return run;
   });
-  const fmtMD = new Intl.DateTimeFormat('en-US', {
-    timeZone: DATE_TZ, month: 'short', day: 'numeric'
+}
+
+// shared by executeRun / executeBackfill
+function runSettings(params) {
+  const base = env('ELEVATE_BASE', 'https://portal.elevateqs.com');
+  const navState = env('LOAD_STATE', 'domcontentloaded');
+  const navTimeout = numEnv('NAV_TIMEOUT_MS', 15000);
+  const emailTo = params.emailTo || listParam(env('EMAIL_TO', ''));
+  const format = params.format || listParam(env('OUTPUT_FORMAT', 'xlsx')).map(f => f.toLowerCase());
+  const badFormat = format.filter(f => !OUTPUT_FORMATS.includes(f));
+  if (badFormat.length) throw new Error(`OUTPUT_FORMAT: unknown format ${badFormat.join(', ')} (expected ${OUTPUT_FORMATS.join(' | ')})`);
+  const splitBy = params.splitBy || env('SPLIT_BY', 'none').toLowerCase();
+  if (!SPLIT_MODES.includes(splitBy)) throw new Error(`SPLIT_BY: unknown mode ${splitBy} (expected ${SPLIT_MODES.join(' | ')})`);
+  const reportKeys = params.reports || listParam(env('REPORTS', 'net-ach'));
+  const defs = reportKeys.map(getReportDef); // fail fast on an unknown key
+  usableMfaChain(); // and on manual-only MFA outside server mode
+  const diagDir = path.join(ERROR_SHOTS, 'export_diag');
+  return { base, navState, navTimeout, emailTo, format, splitBy, reportKeys, defs, diagDir };
+}
+
+async function resolveRunMids(run, params) {
+  if (!params.mids) {
+    await refreshMerchants().catch((e) => log.warn('merchants', 'registry unavailable — using the cached/file list', { error: e?.message || String(e) }));
+  }
+  const mids = params.mids || loadMerchantsMids(params);
+  run.midCount = mids.length;
+  await saveRun(run);
+  if (params.group && !mids.length) throw new Error(`No active merchants in group "${params.group}"`);
+  if (params.tag && !mids.length) throw new Error(`No active merchants tagged "${params.tag}"`);
+  if (params.all && !mids.length) throw new Error('No active merchants in the registry');
+  if (!mids.length) log.warn('mids', 'none provided (MIDS or merchants.json) — will proceed without MID filter if UI allows');
+  return mids;
+}
+
+// reports/<YYYY-MM-DD of start>/
+function dayDirFor(start) {
+  const dayFolderName = new Intl.DateTimeFormat('en-CA', { timeZone: DATE_TZ, year: 'numeric', month: '2-digit', day: '2-digit' }).format(start);
+  return path.join(OUT_ROOT, dayFolderName);
+}
+function reportFileBase(def, start, end) {
+  const startSafe = fmtYYYY_MM_DD(start);
+  return ( +nyStartOfDay(start) === +nyStartOfDay(end) )
+    ? `${def.fileBase}-${startSafe}`
+    : `${def.fileBase}-${startSafe}_to_${fmtYYYY_MM_DD(end)}`;
+}
+
+function effectiveHeadless() {
+  const runningInDocker = fs.existsSync('/.dockerenv');
+  const hasDisplay = !!process.env.DISPLAY;
+  return process.env.HEADLESS != null && process.env.HEADLESS !== ''
+    ? /^(true|1|yes|on)$/i.test(String(process.env.HEADLESS))
+    : runningInDocker || !hasDisplay;
+}
+
+async function launchBrowser(run, navTimeout) {
+  loadSelectors(); // fail fast on a broken selectors.json / SELECTORS_FILE
+  beginStep(run, 'launch');
+  const browser = await chromium.launch({
+    headless: effectiveHeadless(),
+    slowMo: Number(process.env.SLOWMO_MS ?? 0) || 0,
+    args: ['--no-sandbox', '--disable-setuid-sandbox'],
   });
-  const fmtY = new Intl.DateTimeFormat('en-US', { timeZone: DATE_TZ, year: 'numeric' });
-  const fmtM = new Intl.DateTimeFormat('en-US', { timeZone: DATE_TZ, month: 'short' });
-  const fmtD = new Intl.DateTimeFormat('en-US', { timeZone: DATE_TZ, day: 'numeric' });
+  const storageState = loadSession();
+  const context = await browser.newContext({ acceptDownloads: true, ...(storageState ? { storageState } : {}) });
+  const page = await context.newPage();
+  page.setDefaultTimeout(navTimeout);
+  page.setDefaultNavigationTimeout(navTimeout);
+  return { browser, context, page, restored: !!storageState };
+}
+async function closeBrowser({ browser, context, page }) {
+  await page.waitForTimeout(300).catch(()=>{}); // small grace
+  await context.close().catch(()=>{});
+  await browser.close().catch(()=>{});
+}
+
+// pull every report for one date range on an already logged-in page (reports
+// run side by side when job.pool has several workers);
+// a failed report doesn't stop the rest → number of failed reports.
+// If the portal session expired under us, log in again and retry that report once.
+async function pullReports(run, page, defs, job) {
+  if (job.pool?.size > 1 && defs.length > 1) {
+    // one report per worker; each report's MID batches then stay on its page
+    const results = await job.pool.each(defs, (def, pg) => pullOneReport(run, pg, def, { ...job, pool: null }));
+    return results.filter(r => !r.ok || r.value).length;
+  }
+  let failed = 0;
+  for (const def of defs) {
+    if (await pullOneReport(run, page, def, job)) failed++;
+  }
+  return failed;
+}
+
+// → true when the report failed or was held
+async function pullOneReport(run, page, def, job) {
+  const rec = {
+    key: def.key, name: def.name, range: { start: job.startSafe, end: job.endSafe },
+    status: 'running', error: null, midMethod: null, output: null, outputs: null, recon: null, ingest: null, email: null, splits: null,
+  };
+  run.reports.push(rec);
+  try {
+    try {
+      await pullReport(run, page, def, rec, job);
+    } catch (e) {
+      // only a pull that died before its export was saved is retried — past
+      // that point the report may already have been stored or emailed
+      if (rec.output || !(await sessionExpired(page, job.base))) throw e;
+      endStep(run, e);
+      log.warn(`report:${def.key}`, 'session expired mid-run — logging in again');
+      await job.relogin(page);
+      await pullReport(run, page, def, rec, job);
+    }
+    endStep(run);
+    rec.status = rec.held ? 'held' : 'succeeded';
+  } catch (e) {
+    endStep(run, e);
+    rec.status = 'failed';
+    rec.error = e?.message || String(e);
+    log.error(`report:${def.key}`, 'failed', { error: rec.error });
+    await saveArtifacts(page, `${def.key}-fatal`, path.join(ERROR_SHOTS, 'fatal'));
+  }
+  await saveRun(run);
+  return rec.status !== 'succeeded';
+}
+
+function failRunFromReports(run) {
+  const failed = run.reports.filter(r => r.status === 'failed' || r.status === 'held');
+  if (!failed.length) return;
+  run.failedStep = run.steps.find(s => s.ok === false)?.name || (failed.some(r => r.held) ? 'reconcile' : null);
+  const reason = (r) => r.held
+    ? `held — ${r.recon.checks.filter(c => !c.ok && c.severity === 'hold').map(c => `${c.name}: ${c.detail}`).join('; ')}`
+    : r.error;
+  run.error = failed.map(r => `${r.key} ${r.range.start}: ${reason(r)}`).join('; ');
+  process.exitCode = 1;
+}
+
+async function executeRun(run, params) {
+  const { start, end } = resolveRange(params);
+  log.info('main', `${runReportNames(run)} export (Node) starting`, { node: process.version, platform: `${process.platform} ${process.arch}`, cwd: process.cwd() });
+  const startSafe = fmtYYYY_MM_DD(start);
+  const endSafe   = fmtYYYY_MM_DD(end);
+
+  // output paths
+  fs.mkdirSync(OUT_ROOT, { recursive: true });
+  fs.mkdirSync(ERROR_SHOTS, { recursive: true });
+  const dayDir = dayDirFor(start);
+  fs.mkdirSync(dayDir, { recursive: true });
+  attachRunLog(run, dayDir);
+
+  run.range = { start: startSafe, end: endSafe };
+  const mids = await resolveRunMids(run, params);
+  const { base, navState, navTimeout, emailTo, format, splitBy, reportKeys, defs, diagDir } = runSettings(params);
+
+  log.info('main', 'config', {
+    HEADLESS: String(effectiveHeadless()),
+    SLOWMO_MS: numEnv('SLOWMO_MS', 0),
+    NAV_TIMEOUT_MS: navTimeout,
+    LOAD_STATE: navState,
+    DATE_TZ,
+    range: `${startSafe} → ${endSafe}`,
+    reports: reportKeys.join(', '),
+    mids: mids.length,
+    group: params.group || null,
+    merchantTag: params.tag || null,
+    emailTo: emailTo.join(', ') || null,
+    format: format.join(', '),
+    splitBy,
+  });
+
+  const session = await launchBrowser(run, navTimeout);
+  const { page } = session;
+  const job = { base, navState, navTimeout, start, end, startSafe, endSafe, dayDir, diagDir, mids, emailTo, formats: format, splitBy };
+  try {
+    await ensureLoggedIn(run, session, job);
+    job.pool = workerPool(run, session, job);
+    job.relogin = job.pool.relogin;
+    await pullReports(run, page, defs, job);
+    failRunFromReports(run);
+  } catch (e) {
+    endStep(run, e);
+    run.failedStep = run.steps[run.steps.length - 1]?.name || null;
+    run.error = e?.message || String(e);
+    log.error('run', 'failed', { error: run.error });
+    await saveArtifacts(page, 'fatal', path.join(ERROR_SHOTS, 'fatal'));
+    process.exitCode = 1;
+  } finally {
+    await closeBrowser(session);
+    log.info('main', 'done');
+  }
+}
+
+// ===== backfill ==============================================================
+// One login, then the configured reports once per chunk of chunkDays days
+// (BACKFILL_CHUNK_DAYS, default 1) over start..end, pausing pauseMs
+// (BACKFILL_PAUSE_MS) between chunks. A chunk whose outputs already exist under
+// reports/<date>/ is skipped (unless force). Finished chunks are recorded in
+// reports/.backfill/<start>_<end>_<n>d_<reports>.json, so re-running the same
+// backfill after an interruption continues where it stopped.
+// Backfills don't email (EMAIL_TO is ignored) unless emailTo is passed.
+async function backfill(params = {}, opts = {}) {
+  return withRun(params, { trigger: 'backfill', ...opts }, executeBackfill);
+}
+
+function backfillChunks(start, end, chunkDays) {
+  const chunks = [];
+  const day = 24 * 60 * 60 * 1000;
+  const last = parseDay(fmtYYYY_MM_DD(end));
+  for (let d = parseDay(fmtYYYY_MM_DD(start)); +d <= +last; d = new Date(+d + chunkDays * day)) {
+    const e = new Date(Math.min(+d + (chunkDays - 1) * day, +last));
+    chunks.push({ start: d, end: e, startSafe: fmtYYYY_MM_DD(d), endSafe: fmtYYYY_MM_DD(e) });
+  }
+  return chunks;
+}
+
+async function executeBackfill(run, params, opts = {}) {
+  if (!params.start || !params.end) throw new Error('backfill needs start and end');
+  const { start, end } = resolveRange(params);
+  const chunkDays = Math.max(1, Math.floor(opts.chunkDays || numEnv('BACKFILL_CHUNK_DAYS', 1)));
+  const pauseMs = opts.pauseMs ?? numEnv('BACKFILL_PAUSE_MS', 5000);
+  const force = !!opts.force;
+  const startSafe = fmtYYYY_MM_DD(start);
+  const endSafe   = fmtYYYY_MM_DD(end);
+  run.range = { start: startSafe, end: endSafe };
+  attachRunLog(run, dayDirFor(start));
+
+  const mids = await resolveRunMids(run, params);
+  const { base, navState, navTimeout, emailTo, format, splitBy, reportKeys, defs, diagDir } = runSettings({ ...params, emailTo: params.emailTo || [] });
+  const chunks = backfillChunks(start, end, chunkDays);
+
+  const progressDir = path.join(OUT_ROOT, '.backfill');
+  const progressFile = path.join(progressDir, `${startSafe}_${endSafe}_${chunkDays}d_${reportKeys.map(fileSlug).join('+')}.json`);
+  const progress = fs.existsSync(progressFile)
+    ? JSON.parse(fs.readFileSync(progressFile, 'utf-8'))
+    : { start: startSafe, end: endSafe, chunkDays, reports: reportKeys, done: [] };
+  const saveProgress = () => {
+    fs.mkdirSync(progressDir, { recursive: true });
+    progress.updatedAt = new Date().toISOString();
+    fs.writeFileSync(progressFile, JSON.stringify(progress, null, 2));
+  };
+  const done = new Set(progress.done);
+
+  const outputsExist = (c) => defs.every(def =>
+    fs.existsSync(path.join(dayDirFor(c.start), `${reportFileBase(def, c.start, c.end)}.xlsx`)));
+  const todo = chunks.filter(c => force || (!done.has(c.startSafe) && !outputsExist(c)));
+  run.backfill = { chunkDays, chunks: chunks.length, skipped: chunks.length - todo.length, done: 0, failed: [], progressFile };
+  log.info('backfill', `${startSafe} → ${endSafe}: ${chunks.length} chunk(s) of ${chunkDays}d, ${todo.length} to pull`);
+  await saveRun(run);
+  if (!todo.length) return;
+
+  fs.mkdirSync(ERROR_SHOTS, { recursive: true });
+  const session = await launchBrowser(run, navTimeout);
+  const { page } = session;
+  try {
+    const login = { base, navState, navTimeout, diagDir };
+    await ensureLoggedIn(run, session, login);
+    const pool = workerPool(run, session, login);
+    // with several workers, chunks run side by side and each chunk's reports stay on one page
+    const nested = pool.size > 1 && todo.length > 1 ? null : pool;
+
+    const results = await pool.each(todo, async (c, pg, i) => {
+      if (i >= pool.size && pauseMs > 0) await pg.waitForTimeout(pauseMs);
+      log.info('backfill', `${i + 1}/${todo.length}: ${c.startSafe} → ${c.endSafe}`);
+      emitProgress('backfill.chunk', { index: i + 1, of: todo.length, start: c.startSafe, end: c.endSafe }, run);
+      const dayDir = dayDirFor(c.start);
+      fs.mkdirSync(dayDir, { recursive: true });
+      const job = { base, navState, navTimeout, start: c.start, end: c.end, startSafe: c.startSafe, endSafe: c.endSafe, dayDir, diagDir, mids, emailTo, formats: format, splitBy,
+        pool: nested, relogin: pool.relogin };
+
+      const failed = await pullReports(run, pg, defs, job);
+      if (failed) {
+        run.backfill.failed.push(c.startSafe);
+      } else {
+        run.backfill.done++;
+        done.add(c.startSafe);
+        progress.done = [...done].sort();
+        saveProgress();
+      }
+      await saveRun(run);
+    });
+    failRunFromReports(run);
+    const crashed = results.map((r, i) => (r.ok ? null : `${todo[i].startSafe}: ${r.error?.message || r.error}`)).filter(Boolean);
+    if (crashed.length) {
+      results.forEach((r, i) => { if (!r.ok) run.backfill.failed.push(todo[i].startSafe); });
+      run.error = [run.error, ...crashed].filter(Boolean).join('; ');
+      process.exitCode = 1;
+    }
+  } catch (e) {
+    endStep(run, e);
+    run.failedStep = run.steps[run.steps.length - 1]?.name || null;
+    run.error = e?.message || String(e);
+    log.error('backfill', 'failed', { error: run.error });
+    await saveArtifacts(page, 'fatal', path.join(ERROR_SHOTS, 'fatal'));
+    process.exitCode = 1;
+  } finally {
+    await closeBrowser(session);
+    log.info('backfill', `done: ${run.backfill.done} pulled, ${run.backfill.skipped} skipped, ${run.backfill.failed.length} failed`);
+  }
+}
+
+// ===== MID discovery =========================================================
+// `mids discover` logs in, opens a report with the MID multiselect and reads
+// every MID/DBA its search offers, then diffs that against the registry:
+//   added    offered by the portal, not in the registry (newly boarded)
+//   missing  active in the registry, not offered by the portal (closed?)
+//   renamed  DBA differs (case/punctuation ignored) or the registry has none
+// One search shows a limited number of results, so the search walks MID
+// prefixes: DISCOVER_PREFIXES (default 0–9), and any prefix that returns at
+// least DISCOVER_RESULT_CAP (default 50) results is searched again one digit
+// longer. A search whose results don't show within DISCOVER_RESULT_TIMEOUT_MS
+// (default 3000) fails the discovery — a partial read would report merchants
+// as missing. The diff goes to reports/discovery/mids-<date>.json and .csv;
+// write → applied to the registry (added, DBAs updated); missing merchants are
+// only marked inactive when there are at most DISCOVER_DEACTIVATE_MAX of them
+// (default 0 — never), otherwise they are left for a person to check;
+// emailTo / DISCOVER_EMAIL_TO → the CSV is mailed.
+function parseMidResult(text) {
+  const t = String(text || '').replace(/\s+/g, ' ').trim();
+  const m = t.match(/\b(\d{6,})\b/);
+  if (!m) return null;
+  const dba = t.replace(m[0], '').replace(/^[\s\-–:|()]+|[\s\-–:|()]+$/g, '').trim();
+  return { mid: m[1], dba: dba || null };
+}
+
+async function searchPortalMids(page) {
+  const input = page.locator(await pickSelector(page, 'reporting.mid_input')).first();
+  await input.waitFor({ state: 'visible', timeout: numEnv('NAV_TIMEOUT_MS', 15000) });
+  const itemsQ = await pickSelector(page, 'reporting.mid_result_item');
+  const debounceMs = numEnv('RESULT_DEBOUNCE_MS', 350);
+  const resultTimeout = numEnv('DISCOVER_RESULT_TIMEOUT_MS', 3000);
+  const cap = numEnv('DISCOVER_RESULT_CAP', 50);
+  const queue = listParam(env('DISCOVER_PREFIXES', '0,1,2,3,4,5,6,7,8,9'));
+  const found = new Map();
+  let searches = 0;
+  while (queue.length) {
+    const prefix = queue.shift();
+    await input.click();
+    await input.fill('');
+    await input.type(prefix, { delay: 18 });
+    await page.waitForTimeout(debounceMs);
+    const shown = await page.locator(itemsQ).first().waitFor({ state: 'visible', timeout: resultTimeout }).then(() => true, () => false);
+    // no items is only an answer when the (empty) result box is showing
+    if (!shown && !(await anyOf(page, 'reporting.mid_results_container').first().isVisible().catch(() => false))) {
+      throw new Error(`MID search "${prefix}" showed no results within ${resultTimeout}ms — discovery would be incomplete`);
+    }
+    // items that don't contain the query are left over from the previous search
+    const items = (await page.locator(itemsQ).allTextContents().catch(() => []))
+      .map(parseMidResult).filter(it => it && (it.mid.includes(prefix) || (it.dba || '').includes(prefix)));
+    searches++;
+    for (const it of items) if (!found.has(it.mid)) found.set(it.mid, it);
+    if (items.length >= cap && prefix.length < 16) for (let d = 0; d <= 9; d++) queue.push(`${prefix}${d}`);
+    emitProgress('discover.search', { prefix, results: items.length, found: found.size });
+  }
+  await input.fill('').catch(() => {});
+  log.info('discover', 'portal MIDs read', { found: found.size, searches });
+  return [...found.values()].sort((a, b) => a.mid.localeCompare(b.mid));
+}
+
+// portal [{ mid, dba }] vs registry → { added, missing, renamed }
+function diffMerchants(portal, registry) {
+  const norm = (s) => String(s || '').toUpperCase().replace(/[^A-Z0-9]+/g, '');
+  const known = new Map(registry.map(m => [m.mid, m]));
+  const offered = new Set(portal.map(p => p.mid));
+  return {
+    added: portal.filter(p => !known.has(p.mid)),
+    missing: registry.filter(m => m.active && !offered.has(m.mid)).map(m => ({ mid: m.mid, dba: m.dba })),
+    renamed: portal.filter(p => known.has(p.mid) && p.dba && norm(p.dba) !== norm(known.get(p.mid).dba))
+      .map(p => ({ mid: p.mid, from: known.get(p.mid).dba, to: p.dba })),
+  };
+}
+
+function diffCsv(diff) {
+  const lines = [['change', 'mid', 'portal_dba', 'registry_dba']];
+  for (const a of diff.added) lines.push(['added', a.mid, a.dba, '']);
+  for (const m of diff.missing) lines.push(['missing', m.mid, '', m.dba]);
+  for (const r of diff.renamed) lines.push(['renamed', r.mid, r.to, r.from]);
+  return lines.map(l => l.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+async function discoverMids(opts = {}) {
+  return withRun({}, { trigger: 'discover', ...opts }, executeDiscovery);
+}
+
+async function executeDiscovery(run, params, opts = {}) {
+  const today = fmtYYYY_MM_DD(new Date());
+  const outDir = path.join(OUT_ROOT, 'discovery');
+  fs.mkdirSync(outDir, { recursive: true });
+  attachRunLog(run, outDir);
+  await refreshMerchants().catch((e) => log.warn('merchants', 'registry unavailable — using the cached/file list', { error: e?.message || String(e) }));
+
+  const { base, navState, navTimeout } = runSettings(params);
+  const reportKey = opts.report || listParam(env('REPORTS', 'net-ach')).find(k => getReportDef(k).mids) || 'net-ach';
+  const def = getReportDef(reportKey);
+  if (!def.mids) throw new Error(`${def.name} has no MID filter to discover from`);
+  const emailTo = listParam(opts.emailTo ?? env('DISCOVER_EMAIL_TO', ''));
+
+  const session = await launchBrowser(run, navTimeout);
+  const { page } = session;
+  const job = { base, navState, navTimeout, diagDir: path.join(ERROR_SHOTS, 'export_diag') };
+  try {
+    await ensureLoggedIn(run, session, job);
+    await openReport(run, page, def, job);
+    beginStep(run, 'discover', def.key);
+    const portal = await searchPortalMids(page);
+    // an empty read is a selector/portal problem, not "every merchant closed"
+    if (!portal.length) throw new Error('no MIDs read from the portal search (check reporting.mid_result_item)');
+
+    const diff = diffMerchants(portal, loadMerchants());
+    const file = path.join(outDir, `mids-${today}.json`);
+    const csvFile = path.join(outDir, `mids-${today}.csv`);
+    fs.writeFileSync(file, JSON.stringify({ runId: run.id, at: new Date().toISOString(), report: def.key, portal, ...diff }, null, 2));
+    fs.writeFileSync(csvFile, diffCsv(diff));
+    run.discovery = { portal: portal.length, added: diff.added.length, missing: diff.missing.length, renamed: diff.renamed.length,
+      file, csv: csvFile, written: false, email: null };
+    log.info('discover', 'diff', run.discovery);
+    for (const a of diff.added) log.info('discover', `+ ${a.mid} ${a.dba || ''}`);
+    for (const m of diff.missing) log.warn('discover', `- ${m.mid} ${m.dba || ''} not offered by the portal`);
+    for (const r of diff.renamed) log.info('discover', `~ ${r.mid} ${r.from || '(none)'} → ${r.to}`);
+
+    if (opts.write) {
+      beginStep(run, 'write');
+      const deactivate = diff.missing.length <= numEnv('DISCOVER_DEACTIVATE_MAX', 0) ? diff.missing : [];
+      await writeMerchants({ upsert: [
+        ...diff.added.map(a => ({ mid: a.mid, dba: a.dba, active: true })),
+        ...diff.renamed.map(r => ({ mid: r.mid, dba: r.to })),
+        ...deactivate.map(m => ({ mid: m.mid, active: false })),
+      ] });
+      run.discovery.written = true;
+      run.discovery.deactivated = deactivate.length;
+      if (diff.missing.length > deactivate.length) {
+        addRunWarning(`${diff.missing.length} missing MID(s) left active (over DISCOVER_DEACTIVATE_MAX) — check them by hand`);
+      }
+      log.info('discover', 'registry updated', { deactivated: deactivate.length });
+    }
+    const changes = diff.added.length + diff.missing.length + diff.renamed.length;
+    if (emailTo.length && changes) {
+      beginStep(run, 'email');
+      run.discovery.email = await emailReport(csvFile, {
+        to: emailTo,
+        subject: `MID discovery — ${diff.added.length} new, ${diff.missing.length} missing, ${diff.renamed.length} renamed`,
+        text: [
+          `The portal offers ${portal.length} MID(s); compared with the merchant registry on ${today}:`,
+          '',
+          ...diff.added.map(a => `  + ${a.mid}  ${a.dba || ''}`),
+          ...diff.missing.map(m => `  - ${m.mid}  ${m.dba || ''}`),
+          ...diff.renamed.map(r => `  ~ ${r.mid}  ${r.from || '(none)'} → ${r.to}`),
+          '',
+          !run.discovery.written ? 'The registry was not changed.'
+            : diff.missing.length && !run.discovery.deactivated ? 'New MIDs and DBA changes were applied to the registry; missing MIDs were left active.'
+              : 'These changes were applied to the registry.',
+        ].join('\n'),
+      });
+    }
+    await saveRun(run);
+  } catch (e) {
+    endStep(run, e);
+    run.failedStep = run.steps[run.steps.length - 1]?.name || null;
+    run.error = e?.message || String(e);
+    log.error('discover', 'failed', { error: run.error });
+    await saveArtifacts(page, 'discover-fatal', path.join(ERROR_SHOTS, 'fatal'));
+    process.exitCode = 1;
+  } finally {
+    await closeBrowser(session);
+  }
+}
 
-  if (sameDay) return fmtMDY.format(start);
+// ===== session reuse =========================================================
+// After a successful login the Playwright storage state (session cookies) is
+// saved to SESSION_FILE (default .session/elevate-state.enc), AES-256-GCM
+// encrypted with a key derived from SESSION_KEY. The next run starts from it
+// and only does the full login + MFA when the portal bounces us (login page,
+// /mfa or the 401 splash). No SESSION_KEY, or SESSION_REUSE=false → always log in.
+const SESSION_FILE = path.resolve(ROOT, env('SESSION_FILE', '.session/elevate-state.enc'));
 
-  const yS = fmtY.format(start), yE = fmtY.format(end);
-  const mS = fmtM.format(start), mE = fmtM.format(end);
-  const dS = fmtD.format(start), dE = fmtD.format(end);
+function sessionKey() {
+  const secret = env('SESSION_KEY', '');
+  if (!secret || !bool(env('SESSION_REUSE', 'true'))) return null;
+  return crypto.scryptSync(secret, 'midreport-session-v1', 32);
+}
 
-  const sameYear = yS === yE;
-  const sameMonth = sameYear && mS === mE;
+function loadSession() {
+  const key = sessionKey();
+  if (!key || !fs.existsSync(SESSION_FILE)) return null;
+  try {
+    const box = JSON.parse(fs.readFileSync(SESSION_FILE, 'utf-8'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(box.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(box.tag, 'base64'));
+    const plain = Buffer.concat([decipher.update(Buffer.from(box.data, 'base64')), decipher.final()]);
+    log.info('session', 'restored saved session', { savedAt: box.savedAt });
+    return JSON.parse(plain.toString('utf8'));
+  } catch (e) {
+    log.warn('session', 'saved session unreadable (SESSION_KEY changed?) — discarding', { error: e?.message || String(e) });
+    clearSession();
+    return null;
+  }
+}
 
-  if (sameMonth) return `${mS} ${dS}–${dE}, ${yS}`;
-  if (sameYear)  return `${fmtMD.format(start)} – ${fmtMD.format(end)}, ${yS}`;
-  return `${fmtMDY.format(start)} – ${fmtMDY.format(end)}`;
+async function saveSession(context) {
+  const key = sessionKey();
+  if (!key) return;
+  try {
+    const state = await context.storageState();
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(state), 'utf8'), cipher.final()]);
+    const box = { v: 1, savedAt: new Date().toISOString(), iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+    fs.mkdirSync(path.dirname(SESSION_FILE), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(SESSION_FILE, JSON.stringify(box), { mode: 0o600 });
+    log.info('session', 'saved', { file: SESSION_FILE });
+  } catch (e) {
+    log.warn('session', 'save failed', { error: e?.message || String(e) });
+  }
 }
-const fileBase  = ( +nyStartOfDay(start) === +nyStartOfDay(end) )
-  ? `net-ach-${startSafe}`
-  : `net-ach-${startSafe}_to_${endSafe}`;
 
-const subjectLine = `Net ACH Export — ${humanRange(start, end)}`;
-  // output paths
-  fs.mkdirSync(OUT_ROOT, { recursive: true });
-  fs.mkdirSync(ERROR_SHOTS, { recursive: true });
+function clearSession() {
+  try { fs.unlinkSync(SESSION_FILE); } catch {}
+}
 
+// true when the portal sent us back to login / MFA or shows the 401 splash
+async function sessionExpired(page, base) {
+  const url = page.url();
+  if (/\/mfa\b/i.test(url)) return true;
+  const loginUrls = loginPaths(base).map(u => new URL(u).pathname.toLowerCase());
+  try { if (loginUrls.includes(new URL(url).pathname.toLowerCase())) return true; } catch {}
+  if (await isUnauthorizedSplash(page).catch(() => false)) return true;
+  return !!(await findFirst(page, 'login.password').catch(() => null));
+}
 
-  const dayFolderName = new Intl.DateTimeFormat('en-CA', { timeZone: DATE_TZ, year: 'numeric', month: '2-digit', day: '2-digit' }).format(start);
-  const dayDir = path.join(OUT_ROOT, dayFolderName);
-  fs.mkdirSync(dayDir, { recursive: true });
-  const diagDir = path.join(ERROR_SHOTS, 'export_diag');
+// reuse the restored session if the portal still accepts it, else full login
+async function ensureLoggedIn(run, session, job) {
+  const { page, context, restored } = session;
+  if (restored) {
+    beginStep(run, 'session');
+    const reportSelect = job.base.replace(/\/$/, '') + '/Reporting/ReportSelect.aspx';
+    await page.goto(reportSelect, { waitUntil: job.navState || 'domcontentloaded', timeout: job.navTimeout }).catch(() => {});
+    await page.waitForTimeout(300);
+    if (!(await sessionExpired(page, job.base))) {
+      log.info('session', 'saved session still valid — skipping login/MFA');
+      endStep(run);
+      return;
+    }
+    log.info('session', 'saved session expired — full login');
+    clearSession();
+    await context.clearCookies().catch(() => {});
+  }
+  await loginPortal(run, page, job);
+}
+
+// ===== login + MFA ===========================================================
+async function loginPortal(run, page, { base, navTimeout, diagDir }) {
+  // 1) Calm login: navigate and wait for form
+  beginStep(run, 'login');
+  if (!env('ELEVATE_USERNAME') || !env('ELEVATE_PASSWORD')) {
+    throw new Error('ELEVATE_USERNAME/ELEVATE_PASSWORD not set');
+  }
+  log.info('login', 'locating login form…');
+  await gotoLoginWithRetries(page, base);
 
-  const mids = loadMerchantsMids();
-  if (!mids.length) console.warn('[mids] none provided (MIDS or merchants.json) — will proceed without MID filter if UI allows');
+  await withStablePage(page, async () => {
+    const user = await findFirst(page, 'login.username');
+    const pass = await findFirst(page, 'login.password');
+    if (!user || !pass) throw new Error('Login form fields not found (login.username / login.password)');
+    await user.fill(env('ELEVATE_USERNAME'));
+    await pass.fill(env('ELEVATE_PASSWORD'));
+  });
+  await Promise.all([
+    page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: navTimeout }).catch(()=>{}),
+    withStablePage(page, async () => {
+      const submit = await findFirst(page, 'login.submit', 2000);
+      if (!submit) throw new Error('Login button not found (login.submit)');
+      await submit.click();
+    }),
+  ]);
 
-  const base = env('ELEVATE_BASE', 'https://portal.elevateqs.com');
-  const navState = env('LOAD_STATE', 'domcontentloaded');
-  const navTimeout = numEnv('NAV_TIMEOUT_MS', 15000);
+  // 2) MFA (robust & nav-safe)
+  beginStep(run, 'mfa');
+  await page.waitForTimeout(numEnv('MFA_READY_WAIT_MS', 800));
+  let onMfa = false;
+  try { onMfa = await twofaScreenPresent(page); } catch { onMfa = /\/mfa\b/i.test(page.url()); }
 
-  const runningInDocker = fs.existsSync('/.dockerenv');
-  const hasDisplay = !!process.env.DISPLAY;
-  const effectiveHeadless =
-    process.env.HEADLESS != null && process.env.HEADLESS !== ''
-      ? /^(true|1|yes|on)$/i.test(String(process.env.HEADLESS))
-      : runningInDocker || !hasDisplay;
+  if (onMfa) {
+    const chain = usableMfaChain();
+    log.info('2fa', `screen detected — fetching code via ${chain.join(' → ')}…`);
+    const attempts = numEnv('MFA_SUBMIT_ATTEMPTS', 3);
+    let done = false, lastErr = '';
+    let lastCode = null;
+    let notBefore = new Date(Date.now() - numEnv('MFA_FIRST_LOOKBACK_MS', 2 * 60 * 1000));
 
-  console.log('Config:', {
-    HEADLESS: String(effectiveHeadless),
-    SLOWMO_MS: numEnv('SLOWMO_MS', 0),
-    NAV_TIMEOUT_MS: navTimeout,
-    LOAD_STATE: navState,
-    DATE_TZ,
-  });
+    for (let i = 1; i <= attempts; i++) {
+      try {
+        if (!/\/mfa\b/i.test(page.url()) && !(await twofaScreenPresent(page).catch(()=>false))) {
+          log.info('2fa', 'page left MFA before submitting; continuing');
+          done = true; break;
+        }
+      } catch {}
 
-  const browser = await chromium.launch({
-    headless: effectiveHeadless,
-    slowMo: Number(process.env.SLOWMO_MS ?? 0) || 0,
-    args: ['--no-sandbox', '--disable-setuid-sandbox'],
-  });
-  const context = await browser.newContext({ acceptDownloads: true });
-  const page = await context.newPage();
-  page.setDefaultTimeout(navTimeout);
-  page.setDefaultNavigationTimeout(navTimeout);
+      const { code, provider } = await getMfaCode({ run, notBefore, lastCode }, chain);
+      log.info('2fa', `attempt ${i}/${attempts}`, { provider });
+      emitProgress('mfa.attempt', { attempt: i, of: attempts, provider }, run);
+      incMetric(METRICS.mfaAttempts, { provider });
+      lastCode = code;
 
-  try {
-    // 1) Calm login: navigate and wait for form
-    if (!env('ELEVATE_USERNAME') || !env('ELEVATE_PASSWORD')) {
-      throw new Error('ELEVATE_USERNAME/ELEVATE_PASSWORD not set');
+      await submitTwofaCode(page, code);
+      const ok = await waitForPostTwofa(page, numEnv('MFA_POST_SUBMIT_WAIT_MS', 8000));
+      if (ok) { done = true; break; }
+
+      lastErr = await readTwofaErrorHint(page);
+      log.warn('2fa', `attempt ${i}/${attempts} did not pass`, { hint: lastErr || null });
+      emitProgress('mfa.rejected', { attempt: i, of: attempts, hint: lastErr || null }, run);
+      incMetric(METRICS.mfaRejected);
+
+      await clickTwofaResend(page);
+      notBefore = new Date(Date.now() - numEnv('MFA_RESEND_BARRIER_MS', 2000)); // accept only newer mail
+      await page.waitForTimeout(800);
     }
-    console.log('[login] locating login form…');
-    await gotoLoginWithRetries(page, base);
 
-    await withStablePage(page, async () => {
-      await page.getByRole('textbox', { name: /username/i }).fill(env('ELEVATE_USERNAME'));
-      await page.getByRole('textbox', { name: /password/i }).fill(env('ELEVATE_PASSWORD'));
-    });
-    await Promise.all([
-      page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: navTimeout }).catch(()=>{}),
-      withStablePage(page, async () => page.getByRole('button', { name: /login/i }).click()),
-    ]);
-
-    // 2) MFA (robust & nav-safe)
-    await page.waitForTimeout(numEnv('MFA_READY_WAIT_MS', 800));
-    let onMfa = false;
-    try { onMfa = await twofaScreenPresent(page); } catch { onMfa = /\/mfa\b/i.test(page.url()); }
-
-    if (onMfa) {
-  console.log('[2FA] screen detected — fetching code via IMAP…');
-  const attempts = numEnv('MFA_SUBMIT_ATTEMPTS', 3);
-  let done = false, lastErr = '';
-  let lastCode = null;
-  let notBefore = new Date(Date.now() - numEnv('MFA_FIRST_LOOKBACK_MS', 2 * 60 * 1000));
+    if (!done) {
+      await saveArtifacts(page, 'mfa-stuck', diagDir);
+      throw new Error(`2FA did not complete after retries: ${lastErr || 'unknown error'}`);
+    }
+    log.info('2fa', 'done');
+  } else {
+    log.info('2fa', 'screen not detected; continuing');
+  }
+  endStep(run);
+  await saveSession(page.context());
+}
 
-  for (let i = 1; i <= attempts; i++) {
-    try {
-      if (!/\/mfa\b/i.test(page.url()) && !(await twofaScreenPresent(page).catch(()=>false))) {
-        console.log('[2FA] page left MFA before submitting; continuing.');
-        done = true; break;
-      }
-    } catch {}
+// ===== parallel workers ======================================================
+// WORKERS=N (default 1) runs independent units — the reports of a run, the
+// chunks of a backfill, or else the MID batches of a single report — on N pages
+// of the logged-in browser context, so they share its cookies (one login, one
+// MFA). Worker k logs as "wk" (also into run-<id>-wk.log) and saves artifacts
+// under <diag dir>/wk/. A unit that throws fails on its own; a worker whose page
+// was closed gets a new one. relogin(page) is shared: when several pages find
+// the session expired, one login serves them all.
+function workerPool(run, session, job) {
+  const size = Math.max(1, Math.floor(numEnv('WORKERS', 1)));
+  const pages = [session.page];
+  let relogin = null;
+  const newPage = async () => {
+    const page = await session.context.newPage();
+    page.setDefaultTimeout(job.navTimeout);
+    page.setDefaultNavigationTimeout(job.navTimeout);
+    return page;
+  };
+  return {
+    size,
+    relogin: (page) => (relogin ??= loginPortal(run, page, job).finally(() => { relogin = null; })),
+    // fn(unit, page, index) for every unit, at most `size` at a time →
+    // [{ ok, value } | { ok: false, error }] in unit order
+    async each(units, fn) {
+      const results = new Array(units.length);
+      let next = 0;
+      const work = async (w) => {
+        while (next < units.length) {
+          const i = next++;
+          try {
+            if (!pages[w] || pages[w].isClosed()) pages[w] = await newPage();
+            results[i] = { ok: true, value: await fn(units[i], pages[w], i) };
+          } catch (e) {
+            endStep(run, e);
+            log.error('worker', `unit ${i + 1}/${units.length} failed`, { error: e?.message || String(e) });
+            results[i] = { ok: false, error: e };
+          }
+        }
+        endStep(run);
+      };
+      const n = Math.min(size, units.length);
+      if (n <= 1) { await work(0); return results; }
+      log.info('worker', `${units.length} unit(s) on ${n} workers`);
+      await Promise.all(Array.from({ length: n }, (_, w) => workerStorage.run({ id: `w${w + 1}` }, () => work(w))));
+      return results;
+    },
+  };
+}
 
-    const code = await waitFor2faCode(notBefore, lastCode);
-    lastCode = code;
+// ===== MID batches ===========================================================
+// MID_BATCH_SIZE > 0 splits a longer MID list into batches that are loaded and
+// exported in the same session (each from a freshly opened report; several at
+// once with WORKERS > 1). A failed batch is retried on its own up to
+// MID_BATCH_RETRIES times (default 2, logging in again if the session expired);
+// the batch files are then merged into the usual <fileBase>.xlsx, so nothing
+// downstream can tell.
+async function exportInBatches(run, page, def, job, fileBase, size) {
+  const { mids, dayDir } = job;
+  const tag = `report:${def.key}`;
+  const batches = [];
+  for (let i = 0; i < mids.length; i += size) batches.push(mids.slice(i, i + size));
+  const retries = numEnv('MID_BATCH_RETRIES', 2);
+  const partsDir = path.join(dayDir, `.${fileBase}-batches`);
+  fs.mkdirSync(partsDir, { recursive: true });
+  log.info(tag, `${mids.length} MIDs in ${batches.length} batches of up to ${size}`);
 
-    await submitTwofaCode(page, code);
-    const ok = await waitForPostTwofa(page, numEnv('MFA_POST_SUBMIT_WAIT_MS', 8000));
-    if (ok) { done = true; break; }
+  const exportBatch = async (batch, pg, i) => {
+    const label = `batch ${i + 1}/${batches.length}`;
+    for (let attempt = 1; ; attempt++) {
+      emitProgress('batch.started', { report: def.key, batch: i + 1, batches: batches.length, mids: batch.length, attempt }, run);
+      try {
+        log.info(tag, `${label}: ${batch.length} MID(s)`, { attempt });
+        await openReport(run, pg, def, job);
+        return await exportReport(run, pg, def, job, batch, partsDir, `${fileBase}-b${i + 1}`);
+      } catch (e) {
+        endStep(run, e);
+        log.warn(tag, `${label} failed`, { attempt, error: e?.message || String(e) });
+        await saveArtifacts(pg, `${def.key}-batch${i + 1}-try${attempt}`);
+        if (attempt > retries) throw new Error(`${label} failed after ${attempt} attempt(s): ${e?.message || e}`);
+        if (await sessionExpired(pg, job.base)) await job.relogin(pg);
+        await pg.waitForTimeout(numEnv('MID_BATCH_RETRY_PAUSE_MS', 2000));
+      }
+    }
+  };
+  let results;
+  if (job.pool?.size > 1) {
+    results = await job.pool.each(batches, exportBatch);
+  } else {
+    results = [];
+    for (const [i, batch] of batches.entries()) {
+      results.push(await exportBatch(batch, page, i).then(value => ({ ok: true, value }), error => ({ ok: false, error })));
+      if (!results[i].ok) break;
+    }
+  }
+  const failed = results.filter(r => !r.ok);
+  if (failed.length) throw new Error(failed.map(r => r.error?.message || String(r.error)).join('; '));
+  const parts = results.map(r => r.value.file);
+  const methods = new Set(results.map(r => r.value.midMethod).filter(Boolean));
 
-    lastErr = await readTwofaErrorHint(page);
-    console.warn(`[2FA] attempt ${i}/${attempts} did not pass: ${lastErr || 'no hint'}`);
+  beginStep(run, 'merge', def.key);
+  const file = path.join(dayDir, `${fileBase}.xlsx`);
+  const { rows, dropped } = await mergeExports(parts, file, batches);
+  if (dropped.length) addRunWarning(`${def.key}: columns missing from the first batch were dropped: ${dropped.join(', ')}`);
+  log.info('merge', `${parts.length} batch exports → ${path.basename(file)}`, { rows });
+  fs.rmSync(partsDir, { recursive: true, force: true });
+  return { file, midMethod: [...methods].join('+') || null };
+}
 
-    await clickTwofaResend(page);
-    notBefore = new Date(Date.now() - numEnv('MFA_RESEND_BARRIER_MS', 2000)); // accept only newer mail
-    await page.waitForTimeout(800);
+// Batch exports → one workbook shaped like a single export: the first file's
+// title rows, header, widths and styles, then every file's body rows in order
+// with columns matched by header label, then the first file's footer rows
+// (numbers on a "Total" row re-summed). A file's footer is what follows its
+// last MID row; a file without MID rows keeps everything but "Total" rows as
+// body (e.g. "no activity" lines). A batch-wide "no activity" line (one naming
+// no MID) would read as covering the whole merged export, so once any batch has
+// MID rows it becomes one "No activity — <mid>" line per MID of that batch
+// (batchMids[i]; dropped without it); with no MID rows anywhere only the first
+// is kept. → { rows, dropped: [labels the first file lacks] }
+async function mergeExports(files, outPath, batchMids = []) {
+  const read = async (f) => { const wb = new ExcelJS.Workbook(); await wb.xlsx.readFile(f); return wb.worksheets[0]; };
+  const ws = await read(files[0]);
+  const head = findExportHeader(ws, files[0]);
+  const dst = new ExcelJS.Workbook();
+  const dws = dst.addWorksheet(ws.name);
+  ws.columns?.forEach((c, i) => { if (c.width) dws.getColumn(i + 1).width = c.width; });
+  for (let r = 1; r <= head.headerRow; r++) {
+    const nr = dws.addRow(ws.getRow(r).values.slice(1));
+    ws.getRow(r).eachCell({ includeEmpty: true }, (c, col) => { nr.getCell(col).style = c.style; });
   }
+  // rows are placed by our own counter: a row whose cells are all empty doesn't move rowCount
+  let at = head.headerRow;
+
+  const hasMid = (row, col) => /^\d{6,}/.test(String(cellValue(row.getCell(col).value) ?? '').trim());
+  const isTotal = (row) => row.values.some(v => /\btotals?\b/i.test(String(cellValue(v) ?? '')));
+  // non-blank rows under the header → { body, footer } row numbers
+  const sections = (pws, ph) => {
+    let last = ph.headerRow;
+    for (let r = ph.headerRow + 1; r <= pws.rowCount; r++) if (hasMid(pws.getRow(r), ph.midCol)) last = r;
+    const body = [], footer = [];
+    for (let r = ph.headerRow + 1; r <= pws.rowCount; r++) {
+      const row = pws.getRow(r);
+      if (!row.actualCellCount) continue;
+      if (r <= last || (last === ph.headerRow && !isTotal(row))) body.push(r);
+      else footer.push(r);
+    }
+    return { body, footer };
+  };
+  const footers = sections(ws, head).footer;
+  const sums = new Map();
 
-  if (!done) {
-    await saveArtifacts(page, 'mfa-stuck', diagDir);
-    throw new Error(`2FA did not complete after retries: ${lastErr || 'unknown error'}`);
+  const parts = [];
+  for (const [i, f] of files.entries()) {
+    const pws = i ? await read(f) : ws;
+    const ph = i ? findExportHeader(pws, f) : head;
+    parts.push({ pws, ph, body: sections(pws, ph).body });
   }
-  console.log('[2FA] done.');
-} else {
-      console.log('[2FA] screen not detected; continuing.');
+  const anyData = parts.some(p => p.body.some(r => hasMid(p.pws.getRow(r), p.ph.midCol)));
+  const rowText = (row) => row.values.map(cellValue).filter(v => v != null && v !== '').join(' ');
+  const wideIdle = (row) => { const t = rowText(row); return NO_ACTIVITY_RX.test(t) && !/\b\d{6,}\b/.test(t); };
+  const noteCol = (head.headers.find(h => h.col !== head.midCol) || head.headers[0]).col;
+  let keptIdle = false;
+
+  let rows = 0;
+  const dropped = new Set();
+  for (const [i, { pws, ph, body }] of parts.entries()) {
+    const colFor = new Map(ph.headers.map(h => [h.key, h.col]));
+    for (const h of ph.headers) if (!head.headers.some(x => x.key === h.key)) dropped.add(h.label);
+    const seen = new Set(body.map(r => String(cellValue(pws.getRow(r).getCell(ph.midCol).value) ?? '').trim()));
+    for (const r of body) {
+      const src = pws.getRow(r);
+      const data = hasMid(src, ph.midCol); // only MID rows count toward totals
+      if (!data && wideIdle(src)) {
+        if (anyData) {
+          for (const mid of (batchMids[i] || []).filter(m => !seen.has(m))) {
+            const nr = dws.getRow(++at);
+            nr.getCell(noteCol).value = `No activity — ${mid}`;
+            nr.commit();
+          }
+          continue;
+        }
+        if (keptIdle) continue;
+        keptIdle = true;
+      }
+      const nr = dws.getRow(++at);
+      for (const h of head.headers) {
+        const from = colFor.get(h.key);
+        if (!from) continue;
+        const v = src.getCell(from).value;
+        nr.getCell(h.col).value = v;
+        nr.getCell(h.col).style = src.getCell(from).style;
+        if (data && typeof v === 'number') sums.set(h.col, (sums.get(h.col) || 0) + v);
+      }
+      nr.commit();
+      if (data) rows++;
     }
+  }
+  for (const r of footers) {
+    const src = ws.getRow(r);
+    const total = isTotal(src);
+    const nr = dws.getRow(++at);
+    src.eachCell({ includeEmpty: true }, (c, col) => {
+      nr.getCell(col).value = total && typeof c.value === 'number' ? Math.round((sums.get(col) || 0) * 100) / 100 : c.value;
+      nr.getCell(col).style = c.style;
+    });
+    nr.commit();
+  }
+  await dst.xlsx.writeFile(outPath);
+  return { rows, dropped: [...dropped] };
+}
 
-    // 3) navigate to Advanced Reporting → Net ACH Details
-    const tryClick = async (locator) => {
-      return await withStablePage(page, async () => {
-        const n = await locator.count().catch(()=>0);
-        if (!n) return false;
-        const first = locator.first();
+// ===== one report: navigate → MIDs → dates/filters → load → export → email ===
+// Advanced Reporting → <report>: menu link first, then the direct URLs
+async function openReport(run, page, def, job) {
+  const { base, navState, navTimeout } = job;
+  beginStep(run, 'navigate', def.key);
+  log.info(`report:${def.key}`, `opening ${def.title || def.name}`);
+  const tryClick = async (list) => {
+    return await withStablePage(page, async () => {
+      const first = await findFirstOf(page, list);
+      if (!first) return false;
+      try {
+        await first.scrollIntoViewIfNeeded().catch(()=>{});
+        await Promise.all([
+          page.waitForLoadState(navState).catch(()=>{}),
+          first.click({ timeout: navTimeout }),
+        ]);
+        return true;
+      } catch {
         try {
-          await first.scrollIntoViewIfNeeded().catch(()=>{});
           await Promise.all([
             page.waitForLoadState(navState).catch(()=>{}),
-            first.click({ timeout: navTimeout }),
+            first.click({ timeout: navTimeout, force: true }),
           ]);
           return true;
         } catch {
-          try {
-            await Promise.all([
-              page.waitForLoadState(navState).catch(()=>{}),
-              first.click({ timeout: navTimeout, force: true }),
-            ]);
-            return true;
-          } catch {
-            return false;
-          }
+          return false;
         }
-      });
-    };
+      }
+    });
+  };
+
+  const reportLink = def.link
+    ? reportSelectors(def.link)
+    : [`role=link[name=${JSON.stringify(def.title)}]`];
+  if (!(await tryClick(sel('reporting.query_menu')))) { /* ok if missing */ }
+  if (!(await tryClick(sel('reporting.advanced_link')))) {
+    const reportSelect = base.replace(/\/$/, '') + '/Reporting/ReportSelect.aspx';
+    await page.goto(reportSelect, { waitUntil: navState, timeout: navTimeout }).catch(()=>{});
+  }
+  if (!(await tryClick(reportLink))) {
+    if (!def.reportId) throw new Error(`${def.name}: report link not found`);
+    const reportPath = `/Reporting/Report.aspx?reportID=${encodeURIComponent(def.reportId)}`;
+    await page.goto(base.replace(/\/$/, '') + reportPath, { waitUntil: navState, timeout: navTimeout }).catch(()=>{});
+  }
+  if (def.ready) {
+    const ready = await findFirstOf(page, reportSelectors(def.ready), numEnv('MID_READY_WAIT_MS', 12000));
+    if (!ready) log.warn(`report:${def.key}`, 'report page marker not seen', { ready: def.ready });
+  }
+}
+
+// 4–7 on an opened report for one MID list → { file, midMethod }
+async function exportReport(run, page, def, job, mids, outDir, fileBase) {
+  const { start, end } = job;
+  const tag = `report:${def.key}`;
+
+  // 4) add MIDs — STRICT: require all before proceeding
+  let midMethod = null;
+  if (def.mids && mids.length) {
+    beginStep(run, 'mids', def.key);
+    log.info('mids', 'target total', { total: mids.length });
+    midMethod = await selectMids(page, mids, job);
+  }
+
+  // 5) dates + report-specific filters
+  beginStep(run, 'dates', def.key);
+  const startStr = fmtMMDDYYYY(start);
+  const endStr   = fmtMMDDYYYY(end);
+  log.info('dates', `${startStr} → ${endStr}`);
+  await withStablePage(page, async () => {
+    if (def.fields.start) await (await findFirstOf(page, reportSelectors(def.fields.start)))?.fill(startStr).catch(()=>{});
+    if (def.fields.end)   await (await findFirstOf(page, reportSelectors(def.fields.end)))?.fill(endStr).catch(()=>{});
+  });
+  for (const [q, value] of Object.entries(def.filters)) {
+    const el = await findFirstOf(page, reportSelectors(q));
+    if (!el) throw new Error(`${def.name}: filter field not found: ${q}`);
+    const kind = await el.evaluate(n => `${n.tagName}:${n.type || ''}`.toLowerCase());
+    if (kind.startsWith('select')) await el.selectOption(listParam(value));
+    else if (/:(checkbox|radio)$/.test(kind)) await el.setChecked(bool(value, false));
+    else await el.fill(String(value ?? ''));
+    log.info(tag, 'filter set', { field: q, value });
+  }
+
+  // 6) load report — only now that all MIDs are in
+  beginStep(run, 'load', def.key);
+  const loadSel = def.load ? reportSelectors(def.load) : sel('reporting.run_button');
+  await withStablePage(page, async () => (await findFirstOf(page, loadSel))?.click().catch(()=>{}));
+  await anyOf(page, 'reporting.results_header').first().waitFor({ state: 'visible', timeout: 20_000 }).catch(()=>{});
+
+  // 7) export
+  beginStep(run, 'export', def.key);
+  log.info('export', 'exporting…');
+  return { file: await exportCombined(page, outDir, fileBase), midMethod };
+}
+
+async function pullReport(run, page, def, rec, job) {
+  const { start, end, startSafe, endSafe, dayDir, mids, emailTo, formats, splitBy } = job;
+  const fileBase = reportFileBase(def, start, end);
+  const subjectLine = `${def.subject} — ${humanRange(start, end)}`;
+
+  // 3–7) navigate, MIDs, dates/filters, load, export — in MID_BATCH_SIZE batches for long lists
+  const batchSize = def.mids ? Math.floor(numEnv('MID_BATCH_SIZE', 0)) : 0;
+  let outPath;
+  if (batchSize > 0 && mids.length > batchSize) {
+    ({ file: outPath, midMethod: rec.midMethod } = await exportInBatches(run, page, def, job, fileBase, batchSize));
+  } else {
+    await openReport(run, page, def, job);
+    ({ file: outPath, midMethod: rec.midMethod } = await exportReport(run, page, def, job, mids, dayDir, fileBase));
+  }
+  log.info('export', 'saved', { file: outPath });
+  rec.output = outPath;
+  emitProgress('export.saved', { file: outPath }, run);
+  setMetric(METRICS.lastExport, { report: def.key }, Math.floor(Date.now() / 1000));
 
-    if (!(await tryClick(page.getByText(/query system/i)))) { /* ok if missing */ }
-    if (!(await tryClick(page.getByRole('link', { name: /advanced reporting/i })))) {
-      const reportSelect = base.replace(/\/$/, '') + '/Reporting/ReportSelect.aspx';
-      await page.goto(reportSelect, { waitUntil: navState, timeout: navTimeout }).catch(()=>{});
+  // parsed rows feed both the datastore and the email summary — parse once
+  let parsed;
+  const parseOnce = () => (parsed ??= parseExportRows(outPath, { defaultDate: startSafe }));
+
+  // 7a) reconcile — under RECONCILE=hold a failed check holds the report (no ingest, no email)
+  const reconMode = reconcileMode();
+  if (reconMode !== 'off' && def.reconcile !== false) {
+    beginStep(run, 'reconcile', def.key);
+    rec.recon = await parseOnce()
+      .then(p => reconcileExport(def, p, { mids: def.mids ? mids : [], startSafe, endSafe }))
+      .catch(e => ({ ok: false, checks: [{ name: 'parse', ok: false, severity: 'hold', detail: e?.message || String(e) }] }));
+    const failed = rec.recon.checks.filter(c => !c.ok);
+    const hold = reconMode === 'hold' && !rec.recon.ok;
+    for (const c of failed.filter(c => !hold || c.severity !== 'hold')) addRunWarning(`${def.key}: ${c.name}: ${c.detail}`);
+    emitProgress('reconcile.finished', { report: def.key, ok: rec.recon.ok, failed: failed.map(c => c.name) }, run);
+    if (hold) {
+      rec.held = true;
+      incMetric(METRICS.reportsHeld, { report: def.key });
+      // out of the day folder, so the export isn't mistaken for a delivered one
+      const heldDir = path.join(dayDir, 'held');
+      fs.mkdirSync(heldDir, { recursive: true });
+      rec.output = path.join(heldDir, path.basename(outPath));
+      fs.renameSync(outPath, rec.output);
+      log.error('reconcile', 'checks failed — holding the report', { failed: failed.map(c => `${c.name}: ${c.detail}`), file: rec.output });
+      return;
+    }
+    if (!rec.recon.ok) log.warn('reconcile', 'checks failed — sending anyway (RECONCILE=warn)', { failed: failed.map(c => `${c.name}: ${c.detail}`) });
+    else log.info('reconcile', 'checks passed', { checks: rec.recon.checks.map(c => `${c.name}${c.ok ? '' : '!'}`).join(' ') });
+  }
+
+  // 7b) parse + store rows (best-effort: a parse/store problem never blocks the email)
+  if (def.ingest) {
+    beginStep(run, 'ingest', def.key);
+    try {
+      const { rows } = await parseOnce();
+      const res = await storeExportRows(rows, { runId: run.id, report: def.key, file: path.basename(outPath) },
+        { start: startSafe, end: endSafe, mids: def.mids ? mids : [] });
+      rec.ingest = { rows: rows.length, ...res };
+      log.info('ingest', 'rows stored', rec.ingest);
+    } catch (e) {
+      rec.ingest = { error: e?.message || String(e) };
+      log.warn('ingest', 'failed', { error: rec.ingest.error });
+      addRunWarning(`${def.key}: ingest failed: ${rec.ingest.error}`);
+    }
+  }
+  // 7c) CSV / JSON next to the XLSX
+  rec.outputs = { xlsx: outPath };
+  const extraFormats = [...new Set([...formats, ...(def.mids ? planSplits(splitBy, mids).flatMap(p => p.formats) : [])])]
+    .filter(f => f !== 'xlsx');
+  if (extraFormats.length) {
+    beginStep(run, 'convert', def.key);
+    try {
+      Object.assign(rec.outputs, writeFormatFiles(await parseOnce(), extraFormats, dayDir, fileBase,
+        { report: def.key, range: { start: startSafe, end: endSafe } }));
+      log.info('convert', 'written', rec.outputs);
+    } catch (e) {
+      log.warn('convert', 'failed', { error: e?.message || String(e) });
+      addRunWarning(`${def.key}: ${extraFormats.join('/')} conversion failed: ${e?.message || e}`);
     }
-    if (!(await tryClick(page.getByRole('link', { name: /net ach details/i })))) {
-      const achPath = '/Reporting/Report.aspx?reportID=25';
-      await page.goto(base.replace(/\/$/, '') + achPath, { waitUntil: navState, timeout: navTimeout }).catch(()=>{});
+  }
+  // attachments for a recipient list: its formats that were produced, else the XLSX
+  const attachmentsFor = (outputs, wanted) => {
+    const files = (wanted.length ? wanted : formats).map(f => outputs[f]).filter(Boolean);
+    return files.length ? files : [outputs.xlsx];
+  };
+
+  beginStep(run, 'email', def.key);
+  const rowsForSummary = await parseOnce().catch((e) => {
+    log.warn('email', 'export not parsed — sending without summary', { error: e?.message || String(e) });
+    return null;
+  });
+  const bodyFor = (file, label, midList, only = null) => reportEmailBody(def, {
+    parsed: rowsForSummary && only ? { ...rowsForSummary, rows: rowsForSummary.rows.filter(r => only.has(r.mid)) } : rowsForSummary,
+    mids: midList, start, end, runId: run.id, file, label,
+  });
+  // --- Email the export (best-effort) -----------------------------------------
+  try {
+    if (emailTo.length) {
+      rec.email = await emailReport(attachmentsFor(rec.outputs, formats), {
+        to: emailTo,
+        subject: subjectLine,
+        ...bodyFor(outPath, '', def.mids ? mids : []),
+      });
+    } else {
+      log.info('email', 'no recipients (EMAIL_TO / emailTo) — skipping send');
     }
+  } catch (e) {
+    log.warn('email', 'send failed', { error: e?.message || String(e) });
+    rec.email = { sent: false, error: e?.message || String(e) };
+  }
 
-    // 4) add MIDs — STRICT: require all before proceeding
-    if (mids.length) {
-      console.log('[mids] target total:', mids.length);
-      await addMidsStrict(page, mids);
+  // 8) per-merchant / DBA / group files, each to its own recipients
+  // (best-effort: the combined export has already been delivered)
+  const plans = def.mids ? planSplits(splitBy, mids) : [];
+  if (plans.length) {
+    beginStep(run, 'split', def.key);
+    rec.splits = [];
+    try {
+      for (const s of await writeSplitFiles(outPath, plans, dayDir, fileBase)) {
+        const srec = { key: s.key, label: s.label, mids: s.mids.length, rows: s.rows, file: s.file, outputs: null, email: null };
+        rec.splits.push(srec);
+        if (!s.file) { log.info('split', `${s.label}: no rows — skipped`); continue; }
+        log.info('split', `${s.label}: ${s.rows} rows`, { file: s.file });
+        const wanted = s.formats.length ? s.formats : formats;
+        srec.outputs = { xlsx: s.file };
+        if (rowsForSummary && wanted.some(f => f !== 'xlsx')) {
+          const only = new Set(s.mids);
+          try {
+            Object.assign(srec.outputs, writeFormatFiles({ ...rowsForSummary, rows: rowsForSummary.rows.filter(r => only.has(r.mid)) },
+              wanted, dayDir, path.basename(s.file, '.xlsx'), { report: def.key, range: { start: startSafe, end: endSafe }, split: s.key }));
+          } catch (e) {
+            log.warn('split', `${s.label}: conversion failed`, { error: e?.message || String(e) });
+          }
+        }
+        if (!s.recipients.length) { log.info('split', `${s.label}: no recipients — not emailed`); continue; }
+        srec.email = await emailReport(attachmentsFor(srec.outputs, wanted), {
+          to: s.recipients,
+          subject: `${subjectLine} — ${s.label}`,
+          ...bodyFor(s.file, s.label, s.mids, new Set(s.mids)),
+        });
+      }
+    } catch (e) {
+      log.warn('split', 'failed', { error: e?.message || String(e) });
+      addRunWarning(`${def.key}: split files failed: ${e?.message || e}`);
     }
+  }
+}
 
-    // 5) dates
-    const startStr = fmtMMDDYYYY(start);
-    const endStr   = fmtMMDDYYYY(end);
-    console.log('[dates]', startStr, '→', endStr);
-    await withStablePage(page, async () => {
-      await page.locator('#fileDateStart').fill(startStr).catch(()=>{});
-      await page.locator('#fileDateEnd').fill(endStr).catch(()=>{});
-    });
+// ===== CLI ===================================================================
+//   run (default)  one-shot pull          server | idle   HTTP trigger (POST /run)
+//   backfill       resumable range pull   mids list       configured merchants
+//   mfa test       fetch a code via IMAP  config show     effective config (secrets masked)
+// Flags override the matching env vars; `--help` on any command lists them.
+// A bare invocation falls back to MODE (e.g. MODE=server), then `run`.
+function maskSecret(v) {
+  const s = String(v ?? '');
+  if (!s) return '';
+  return s.length <= 4 ? '****' : `${s.slice(0, 2)}…${s.slice(-2)} (${s.length})`;
+}
+function maskUri(u) {
+  return String(u || '').replace(/\/\/([^:/@]+):([^@]+)@/, (_, user) => `//${user}:****@`);
+}
 
-    // 6) load report — only now that all MIDs are in
-    await withStablePage(page, async () => page.getByRole('button', { name: /load report/i }).click().catch(()=>{}));
-    await page.locator('#resultsCont #mainRepHead').waitFor({ state: 'visible', timeout: 20_000 }).catch(()=>{});
-
-    // 7) export
-    console.log('[export] exporting…');
-    const outPath = await exportCombined(page, dayDir, fileBase);
-    console.log('[export] saved →', outPath);
-    // --- Email the export (best-effort) -----------------------------------------
-try {
-  if (process.env.EMAIL_TO) {
-    await emailReport(outPath, {
-      subject: subjectLine,
-      text: process.env.EMAIL_BODY || `Attached is the Net ACH export for ${startStr} → ${endStr}.`,
-      filename: path.basename(outPath),
-    });
-  } else {
-    console.log('[EMAIL] EMAIL_TO not set — skipping send.');
+// flags → run params (validated); throws on bad input
+function paramsFromArgv(argv) {
+  if (argv.headless != null) process.env.HEADLESS = String(argv.headless);
+  const body = {};
+  for (const k of ['start', 'end', 'mode', 'mids', 'group', 'tag', 'emailTo', 'format', 'splitBy', 'reports']) {
+    if (argv[k] != null) body[k] = argv[k];
   }
-} catch (e) {
-  console.warn('[EMAIL] send failed:', e?.message || e);
+  if (argv.all) body.all = true;
+  const { params, errors } = validateRunParams(body);
+  if (errors.length) throw new Error(`invalid options: ${errors.join('; ')}`);
+  return params;
 }
-  } catch (e) {
-    console.error('[run] failed:', e?.message || e);
-    await saveArtifacts(page, 'fatal', path.join(ERROR_SHOTS, 'fatal'));
+
+function configSnapshot() {
+  const { start, end } = resolveRange({});
+  let reports = null;
+  try { reports = Object.keys(loadReportDefs()); } catch (e) { reports = `error: ${e.message}`; }
+  return {
+    paths: { root: ROOT, output: OUT_ROOT, errors: ERROR_SHOTS, merchants: env('MERCHANTS_FILE', 'merchants.json'),
+      selectors: env('SELECTORS_FILE', '(bundled)'), reportsFile: env('REPORTS_FILE', '(bundled)') },
+    run: {
+      DATE_TZ, DATE_MODE: env('DATE_MODE', 'yesterday'), range: `${fmtYYYY_MM_DD(start)} → ${fmtYYYY_MM_DD(end)}`,
+      REPORTS: env('REPORTS', 'net-ach'), knownReports: reports, merchants: loadMerchantsMids().length,
+      activeMerchants: loadMerchants().filter(m => m.active).length,
+      EMAIL_TO: env('EMAIL_TO'), OUTPUT_FORMAT: env('OUTPUT_FORMAT', 'xlsx'), SPLIT_BY: env('SPLIT_BY', 'none'),
+      MID_SELECT_METHOD: env('MID_SELECT_METHOD', 'auto'), MID_QUERY_PARAM: env('MID_QUERY_PARAM'),
+      MID_BATCH_SIZE: numEnv('MID_BATCH_SIZE', 0), MID_BATCH_RETRIES: numEnv('MID_BATCH_RETRIES', 2), WORKERS: numEnv('WORKERS', 1),
+      HEADLESS: String(effectiveHeadless()),
+      LOG_FORMAT: env('LOG_FORMAT', process.stdout.isTTY ? 'pretty' : 'json'), LOG_LEVEL: env('LOG_LEVEL', 'info'),
+    },
+    portal: { ELEVATE_BASE: env('ELEVATE_BASE', 'https://portal.elevateqs.com'),
+      ELEVATE_USERNAME: env('ELEVATE_USERNAME'), ELEVATE_PASSWORD: maskSecret(env('ELEVATE_PASSWORD')),
+      SESSION_KEY: maskSecret(env('SESSION_KEY')), SESSION_FILE, sessionReuse: !!sessionKey(), sessionSaved: fs.existsSync(SESSION_FILE) },
+    mfa: { MFA_PROVIDER: env('MFA_PROVIDER', 'imap'), TOTP_SECRET: maskSecret(env('TOTP_SECRET')),
+      MFA_MAX_WAIT_MS: numEnv('MFA_MAX_WAIT_MS', 90_000), MFA_MANUAL_WAIT_MS: numEnv('MFA_MANUAL_WAIT_MS', 10 * 60_000) },
+    imap: { IMAP_HOST: env('IMAP_HOST', 'imap.gmail.com'), IMAP_USER: env('IMAP_USER'), IMAP_PASS: maskSecret(env('IMAP_PASS')),
+      IMAP_MAILBOXES: env('IMAP_MAILBOXES', env('IMAP_MAILBOX', 'INBOX')), IMAP_SUBJECT_FILTER: env('IMAP_SUBJECT_FILTER', 'Elevate MFA Code') },
+    smtp: { SMTP_HOST: env('SMTP_HOST', env('IMAP_HOST', 'smtp.gmail.com').replace(/^imap\./i, 'smtp.')),
+      SMTP_PORT: numEnv('SMTP_PORT', 465), SMTP_USER: env('SMTP_USER', env('IMAP_USER')),
+      SMTP_PASS: maskSecret(env('SMTP_PASS', env('IMAP_PASS'))), EMAIL_FROM: env('EMAIL_FROM', env('SMTP_USER', env('IMAP_USER'))),
+      EMAIL_CC: env('EMAIL_CC'), EMAIL_BCC: env('EMAIL_BCC'), EMAIL_REPLY_TO: env('EMAIL_REPLY_TO'), TEMPLATES_DIR,
+      ALERT_EMAIL_TO: env('ALERT_EMAIL_TO'), ALERT_ATTACH: env('ALERT_ATTACH', 'files') },
+    store: { MONGODB_URI: maskUri(env('MONGODB_URI')), MONGODB_DB: env('MONGODB_DB', 'midreport'),
+      merchants: env('MONGODB_URI') ? env('MONGODB_MERCHANTS_COLLECTION', 'merchants') : path.basename(merchantsFilePath()) },
+    reconcile: { RECONCILE: reconcileMode(), RECON_MAX_MISSING_MIDS: numEnv('RECON_MAX_MISSING_MIDS', 0),
+      RECON_HOLD_ON_EXTRA: bool(env('RECON_HOLD_ON_EXTRA', 'false'), false), RECON_MAX_DEVIATION_PCT: numEnv('RECON_MAX_DEVIATION_PCT', 50),
+      RECON_TRAILING_DAYS: numEnv('RECON_TRAILING_DAYS', 7), RECON_MIN_HISTORY_DAYS: numEnv('RECON_MIN_HISTORY_DAYS', 3) },
+    server: { JOB_PORT: Number(process.env.JOB_PORT) || 3889, JOB_API_KEY: maskSecret(env('JOB_API_KEY')) },
+    webhooks: (() => {
+      try { return loadWebhooks().map(h => ({ type: h.type, host: h.host, on: h.on })); } catch (e) { return `error: ${e.message}`; }
+    })(),
+  };
+}
+
+async function cli(argvIn = process.argv) {
+  const { default: yargs } = await import('yargs');
+  const { hideBin } = await import('yargs/helpers');
+  const args = hideBin(argvIn);
+  if (!args.length && env('MODE')) args.push(env('MODE').toLowerCase());
+
+  const runOptions = (y) => y
+    .option('start',    { type: 'string', describe: 'first day, YYYY-MM-DD (env START)' })
+    .option('end',      { type: 'string', describe: 'last day, YYYY-MM-DD (env END)' })
+    .option('mode',     { type: 'string', choices: DATE_MODES, describe: 'relative range instead of --start/--end (env DATE_MODE)' })
+    .option('mids',     { type: 'string', describe: 'comma-separated MIDs (env MIDS)' })
+    .option('group',    { type: 'string', describe: 'active merchants in this registry group instead of --mids' })
+    .option('tag',      { type: 'string', describe: 'active merchants with this registry tag' })
+    .option('all',      { type: 'boolean', describe: 'every active registry merchant (ignores MIDS)' })
+    .option('email-to', { type: 'string', describe: 'comma-separated recipients; "" = no email (env EMAIL_TO)' })
+    .option('reports',  { type: 'string', describe: 'comma-separated reports.json keys (env REPORTS)' })
+    .option('split-by', { type: 'string', choices: SPLIT_MODES, describe: 'extra per-merchant/DBA/group files (env SPLIT_BY)' })
+    .option('format',   { type: 'string', describe: `comma-separated output formats: ${OUTPUT_FORMATS.join(', ')} (env OUTPUT_FORMAT)` })
+    .option('headless', { type: 'boolean', describe: 'run the browser headless (env HEADLESS)' });
+
+  await yargs(args)
+    .scriptName('playwright-runner.cjs')
+    .usage('$0 <command> [options]')
+    .command(['run', '$0'], 'pull the report(s) once', runOptions, async (argv) => {
+      await main(paramsFromArgv(argv)).finally(closeDb);
+    })
+    .command(['server', 'idle'], 'start the HTTP trigger server', (y) => y
+      .option('port', { type: 'number', describe: 'listen port (env JOB_PORT, default 3889)' }), (argv) => {
+      if (argv.port) process.env.JOB_PORT = String(argv.port);
+      startTriggerServer(main);
+    })
+    .command('backfill', 'pull a historical range, one chunk at a time, resumable', (y) => runOptions(y)
+      .option('email-to',   { type: 'string', describe: 'comma-separated recipients (default: no email; EMAIL_TO is ignored)' })
+      .option('chunk-days', { type: 'number', describe: 'days per report load (env BACKFILL_CHUNK_DAYS, default 1)' })
+      .option('pause-ms',   { type: 'number', describe: 'pause between chunks (env BACKFILL_PAUSE_MS, default 5000)' })
+      .option('force',      { type: 'boolean', default: false, describe: 'pull chunks even if already done/present' })
+      .check((argv) => {
+        if (!(argv.start || env('START')) || !(argv.end || env('END'))) throw new Error('backfill needs --start and --end');
+        return true;
+      }), async (argv) => {
+      const params = paramsFromArgv({ ...argv, start: argv.start || env('START'), end: argv.end || env('END') });
+      await backfill(params, { chunkDays: argv.chunkDays, pauseMs: argv.pauseMs, force: argv.force }).finally(closeDb);
+    })
+    .command('mids <action> [file]', 'merchant registry', (y) => y
+      .positional('action', { choices: ['list', 'import', 'discover'] })
+      .positional('file',  { type: 'string', describe: 'import: merchant CSV from the portal' })
+      .option('group', { type: 'string', describe: 'list: only this group; import: group for rows without one' })
+      .option('tag',   { type: 'string', describe: 'list: only this tag' })
+      .option('json',  { type: 'boolean', default: false, describe: 'print JSON' })
+      .option('write', { type: 'boolean', default: false, describe: 'discover: add new MIDs and DBA changes to the registry (missing ones: see DISCOVER_DEACTIVATE_MAX)' })
+      .option('email-to', { type: 'string', describe: 'discover: mail the diff here (env DISCOVER_EMAIL_TO)' })
+      .option('report', { type: 'string', describe: 'discover: report whose MID search is read (default: first of REPORTS)' })
+      .option('headless', { type: 'boolean', describe: 'discover: run the browser headless (env HEADLESS)' }), async (argv) => {
+      try {
+        if (argv.action === 'discover') {
+          if (argv.headless != null) process.env.HEADLESS = String(argv.headless);
+          const run = await discoverMids({ write: argv.write, emailTo: argv.emailTo, report: argv.report });
+          if (run.discovery) console.log(JSON.stringify(run.discovery, null, 2));
+          return;
+        }
+        await refreshMerchants();
+        if (argv.action === 'import') {
+          if (!argv.file) throw new Error('mids import needs a CSV file');
+          const { merchants, errors } = merchantsFromCsv(fs.readFileSync(path.resolve(argv.file), 'utf-8'), argv.group ? { group: argv.group } : {});
+          for (const e of errors) console.warn(`skipped ${e}`);
+          const list = await writeMerchants({ upsert: merchants });
+          console.log(`imported ${merchants.length} merchant(s); registry now has ${list.length}`);
+          return;
+        }
+        const list = loadMerchants().filter(m => (!argv.group || m.group === argv.group) && (!argv.tag || m.tags.includes(argv.tag)));
+        if (argv.json) { console.log(JSON.stringify(list, null, 2)); return; }
+        console.table(list.map(m => ({ mid: m.mid, dba: m.dba || '', group: m.group || '', tags: m.tags.join(', '),
+          active: m.active, recipients: m.recipients.join(', ') })));
+        console.log(`${list.length} merchant(s), ${list.filter(m => m.active).length} active`);
+      } finally {
+        await closeDb();
+      }
+    })
+    .command('mfa <action>', 'MFA code retrieval', (y) => y
+      .positional('action', { choices: ['test'] })
+      .option('provider', { type: 'string', choices: ['imap', 'totp'], describe: 'test one provider (default: MFA_PROVIDER chain without manual)' })
+      .option('wait', { type: 'boolean', default: false, describe: 'imap: poll until a code arrives (MFA_MAX_WAIT_MS)' }), async (argv) => {
+      const mask = (code) => `${'*'.repeat(Math.max(0, code.length - 2))}${code.slice(-2)}`;
+      const chain = argv.provider ? [argv.provider] : mfaProviderChain().filter(n => n !== 'manual');
+      if (!chain.length) throw new Error('MFA_PROVIDER is manual-only — codes are entered through POST /runs/:id/mfa');
+      if (chain[0] === 'imap' && !argv.wait && chain.length === 1) {
+        const code = await get2faCodeFromImap();
+        if (!code) { console.log('[mfa] no code found in the lookback window'); process.exitCode = 1; return; }
+        console.log(`[mfa] imap: found code ${mask(code)}`);
+        return;
+      }
+      const { code, provider } = await getMfaCode({}, chain);
+      console.log(`[mfa] ${provider}: found code ${mask(code)}`);
+    })
+    .command('config <action>', 'configuration', (y) => y
+      .positional('action', { choices: ['show'] }), () => {
+      console.log(JSON.stringify(configSnapshot(), null, 2));
+    })
+    .strict()
+    .version(false)
+    .help()
+    .alias('h', 'help')
+    .fail((msg, err, y) => {
+      if (err) throw err; // handler errors → cli().catch
+      console.error(`${msg}\n`);
+      y.showHelp();
+      process.exitCode = 1;
+    })
+    .parseAsync();
+}
+
+if (require.main === module) {
+  cli().catch((e) => {
+    console.error(e?.message || e);
     process.exitCode = 1;
-  } finally {
-    await page.waitForTimeout(300); // small grace
-    await context.close().catch(()=>{});
-    await browser.close().catch(()=>{});
-    console.log('[main] done.');
+  });
+}
+// ===== scheduler (server mode) ===============================================
+// SCHEDULES is a JSON array (SCHEDULES_FILE: path to a JSON file with one) of
+//   { "name": "daily", "cron": "0 7 * * *", "params": { "mode": "yesterday" } }
+// params are the POST /run body. SCHEDULE_CRON is the shorthand for a single
+// schedule with default params. Cron is evaluated in DATE_TZ.
+// The last slot each schedule handled — queued a run for, or skipped because
+// the same run was already queued/running — is kept in
+// reports/.schedule-state.json (a slot whose run failed to queue isn't
+// recorded); on startup a schedule whose latest slot was
+// missed (container down) fires once right away, if that slot is no older than
+// SCHEDULE_CATCHUP_HOURS (default 12). A schedule seen for the first time
+// doesn't catch up.
+function loadSchedules() {
+  const file = env('SCHEDULES_FILE', '');
+  const raw = file ? fs.readFileSync(path.resolve(ROOT, file), 'utf-8') : env('SCHEDULES', '');
+  let list = [];
+  if (raw) list = JSON.parse(raw);
+  else if (env('SCHEDULE_CRON')) list = [{ name: 'default', cron: env('SCHEDULE_CRON') }];
+  if (!Array.isArray(list)) throw new Error('SCHEDULES must be a JSON array');
+
+  const names = new Set();
+  return list.map((s, i) => {
+    const name = String(s?.name || `schedule-${i + 1}`);
+    if (names.has(name)) throw new Error(`duplicate schedule name: ${name}`);
+    names.add(name);
+    try { cronSlot(s?.cron, 'next'); } catch (e) { throw new Error(`schedule ${name}: bad cron "${s?.cron}": ${e.message}`); }
+    const { params, errors } = validateRunParams(s.params || {});
+    if (errors.length) throw new Error(`schedule ${name}: ${errors.join('; ')}`);
+    return { name, cron: String(s.cron), params };
+  });
+}
+// next slot after `from`, or the latest slot at/before it
+function cronSlot(expr, dir, from = new Date()) {
+  const it = CronExpressionParser.parse(String(expr), { tz: DATE_TZ, currentDate: from });
+  return (dir === 'prev' ? it.prev() : it.next()).toDate();
+}
+
+// fire(params, schedule) resolves true once the slot is handled (run queued or folded into one)
+function startScheduler(schedules, fire) {
+  const stateFile = path.join(OUT_ROOT, '.schedule-state.json');
+  let state = {};
+  try { state = JSON.parse(fs.readFileSync(stateFile, 'utf-8')); } catch {}
+  const save = () => {
+    try {
+      fs.mkdirSync(OUT_ROOT, { recursive: true });
+      fs.writeFileSync(stateFile, JSON.stringify(state, null, 2));
+    } catch (e) { log.warn('schedule', 'state save failed', { error: e?.message || String(e) }); }
+  };
+  const catchupMs = numEnv('SCHEDULE_CATCHUP_HOURS', 12) * 60 * 60 * 1000;
+  const entries = schedules.map(s => ({ ...s, next: null, lastSlot: state[s.name] || null, lastFiredAt: null, timer: null }));
+
+  const trigger = (e, slot, why) => {
+    e.lastFiredAt = new Date().toISOString();
+    log.info('schedule', `${e.name}: firing (${why}) for ${slot.toISOString()}`);
+    Promise.resolve()
+      .then(() => fire(e.params, e))
+      .then((queued) => {
+        if (!queued) return;
+        e.lastSlot = state[e.name] = slot.toISOString();
+        save();
+      })
+      .catch(err => log.error('schedule', `${e.name} failed to start`, { error: err?.message || String(err) }));
+  };
+  // re-check at least hourly so long waits don't overflow setTimeout
+  const arm = (e) => {
+    e.next = cronSlot(e.cron, 'next');
+    const wait = Math.max(0, Math.min(+e.next - Date.now(), 60 * 60 * 1000));
+    e.timer = setTimeout(() => {
+      if (Date.now() >= +e.next) trigger(e, e.next, 'scheduled');
+      arm(e);
+    }, wait);
+    e.timer.unref?.();
+  };
+
+  for (const e of entries) {
+    const prev = cronSlot(e.cron, 'prev');
+    if (!e.lastSlot) {
+      e.lastSlot = state[e.name] = prev.toISOString();
+      save();
+    } else if (Date.parse(e.lastSlot) < +prev) {
+      if (Date.now() - +prev <= catchupMs) trigger(e, prev, 'catch-up');
+      else log.warn('schedule', `${e.name}: missed ${prev.toISOString()} — older than SCHEDULE_CATCHUP_HOURS, not caught up`);
+    }
+    arm(e);
+    log.info('schedule', `${e.name}: "${e.cron}" (${DATE_TZ}) next ${e.next.toISOString()}`);
   }
+
+  return {
+    status: () => entries.map(e => ({
+      name: e.name, cron: e.cron, tz: DATE_TZ, params: e.params,
+      next: e.next?.toISOString() || null, lastSlot: e.lastSlot, lastFiredAt: e.lastFiredAt,
+    })),
+    stop: () => entries.forEach(e => clearTimeout(e.timer)),
+  };
 }
 
-if (require.main === module) {
-  const mode = (process.argv[2] || process.env.MODE || '').toLowerCase();
-  if (mode === 'server' || mode === 'idle') {
-    // idle mode: start the small HTTP trigger
-    startTriggerServer(main);
-  } else {
-    // default: one-shot run (keeps existing behavior)
-    main();
+// ===== job queue (server mode) ===============================================
+// Run requests are queued FIFO and executed one at a time — they share the
+// portal session. Queued jobs are persisted to reports/.queue.json and picked
+// up again after a restart. A job that was mid-run when the process died is
+// not retried (it may already have emailed): its record is marked failed as
+// interrupted. A request whose parameters match a queued or running job is
+// folded into that job. A job's id is its run id: GET /runs/:id shows it as
+// "queued" until it starts.
+function jobKey(params) {
+  const norm = {};
+  for (const k of Object.keys(params).sort()) {
+    norm[k] = Array.isArray(params[k]) ? [...params[k]].map(String).sort() : params[k];
+  }
+  return crypto.createHash('sha1').update(JSON.stringify(norm)).digest('hex').slice(0, 16);
+}
+
+function startJobQueue(runOnce, onFinish = () => {}) {
+  const queueFile = path.join(OUT_ROOT, '.queue.json');
+  let jobs = [];
+  let interrupted = null;
+  try { ({ jobs = [], running: interrupted = null } = JSON.parse(fs.readFileSync(queueFile, 'utf-8'))); } catch {}
+  let current = null;
+  let stopped = false;
+
+  const save = () => {
+    try {
+      fs.mkdirSync(OUT_ROOT, { recursive: true });
+      fs.writeFileSync(queueFile, JSON.stringify({ updatedAt: new Date().toISOString(), running: current, jobs }, null, 2));
+    } catch (e) { log.warn('queue', 'save failed', { error: e?.message || String(e) }); }
+  };
+  const failInterrupted = async (job) => {
+    const rec = (await getRun(job.id).catch(() => null))
+      || { ...newRun(job.params, { runId: job.id, trigger: job.trigger, queuedAt: job.queuedAt }), startedAt: job.startedAt };
+    if (!['queued', 'running'].includes(rec.status)) return;
+    const finishedAt = new Date().toISOString();
+    await saveRun({
+      ...rec, status: 'failed', error: 'interrupted — the process stopped while this run was in progress',
+      finishedAt, durationMs: rec.startedAt ? Date.parse(finishedAt) - Date.parse(rec.startedAt) : null,
+    });
+    log.warn('queue', `marked ${job.id} failed — interrupted by a restart (started ${job.startedAt})`);
+  };
+  const view = (j, position) => ({ runId: j.id, trigger: j.trigger, params: j.params, queuedAt: j.queuedAt, position });
+
+  const pump = async () => {
+    if (current || stopped || !jobs.length) return;
+    current = jobs.shift();
+    current.startedAt = new Date().toISOString();
+    save();
+    log.info('queue', `starting ${current.id} (${current.trigger}); ${jobs.length} waiting`);
+    let run = null, error = null;
+    try {
+      run = await runOnce(current.params, { runId: current.id, trigger: current.trigger, queuedAt: current.queuedAt });
+      if (run && run.status !== 'succeeded') error = run.error;
+    } catch (e) {
+      error = e?.message || String(e);
+      log.error('queue', 'run failed', { runId: current.id, error });
+    }
+    try { onFinish(current, run, error); } catch {}
+    current = null;
+    save();
+    setImmediate(pump);
+  };
+
+  // → { job, duplicate } where job = { runId, position, ... }; position 0 = running now
+  const enqueue = async (params, trigger) => {
+    const key = jobKey(params);
+    if (current?.key === key) return { job: view(current, 0), duplicate: true };
+    const idx = jobs.findIndex(j => j.key === key);
+    if (idx >= 0) return { job: view(jobs[idx], idx + 1), duplicate: true };
+
+    const job = { id: randomUUID(), key, params, trigger, queuedAt: new Date().toISOString() };
+    jobs.push(job);
+    save();
+    await saveRun({ ...newRun(params, { runId: job.id, trigger, queuedAt: job.queuedAt }), status: 'queued', startedAt: null });
+    const position = current ? jobs.length : jobs.length - 1;
+    log.info('queue', `queued ${job.id} (${trigger}) at position ${position}`);
+    setImmediate(pump);
+    return { job: view(job, position), duplicate: false };
+  };
+
+  // → 'cancelled' | 'running' (too late) | null (unknown)
+  const cancel = async (id) => {
+    if (current?.id === id) return 'running';
+    const idx = jobs.findIndex(j => j.id === id);
+    if (idx < 0) return null;
+    const [job] = jobs.splice(idx, 1);
+    save();
+    const rec = (await getRun(id).catch(() => null)) || newRun(job.params, { runId: id, trigger: job.trigger });
+    const cancelled = { ...rec, status: 'cancelled', finishedAt: new Date().toISOString() };
+    await saveRun(cancelled);
+    // closes any GET /runs/:id/events stream waiting on this job
+    emitProgress('run.finished', { status: 'cancelled', error: null, failedStep: null, durationMs: null }, cancelled);
+    log.info('queue', `cancelled ${id}`);
+    return 'cancelled';
+  };
+
+  if (interrupted) {
+    failInterrupted(interrupted)
+      .catch(e => log.warn('queue', `couldn't mark ${interrupted.id} interrupted`, { error: e?.message || String(e) }))
+      .finally(save);
   }
+  if (jobs.length) log.info('queue', `resuming ${jobs.length} queued job(s) from ${queueFile}`);
+  setImmediate(pump);
+
+  return {
+    enqueue,
+    cancel,
+    get running() { return !!current; },
+    status: () => ({
+      running: current ? { ...view(current, 0), startedAt: current.startedAt } : null,
+      queued: jobs.map((j, i) => view(j, i + 1)),
+    }),
+    stop: () => { stopped = true; },
+  };
 }
+
 // Minimal idle trigger server (POST /run)
-// Env: JOB_PORT (default 3889), JOB_API_KEY (optional)
+// Env: JOB_PORT (default 3889), JOB_API_KEY (optional), SCHEDULES / SCHEDULE_CRON (optional)
 function startTriggerServer(runOnce = main) {
   const http = require('http');
   const port = Number(process.env.JOB_PORT) || 3889;
   const requiredKey = process.env.JOB_API_KEY || '';
+  manualMfaReachable = true;
 
   // simple singleton-ish state for this process
   const state = {
-    running: false,
     lastRun: null,
     lastErr: null,
   };
@@ -1077,74 +3956,279 @@ function startTriggerServer(runOnce = main) {
     res.setHeader('content-type', 'application/json');
     res.end(JSON.stringify(obj));
   };
+  // path segment → decoded string; null on a malformed escape (answer 400, don't throw)
+  const pathParam = (seg) => { try { return decodeURIComponent(seg); } catch { return null; } };
+
+  // raw body as text; rejects when larger than limit
+  const readText = (req, limit) => new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (c) => {
+      size += c.length;
+      if (size > limit) { reject(new Error('body too large')); req.destroy(); return; }
+      chunks.push(c);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8').trim()));
+    req.on('error', reject);
+  });
+  // JSON body (empty body → {}); rejects on bad JSON or > 64 KB
+  const readJson = async (req, limit = 64 * 1024) => {
+    const raw = await readText(req, limit);
+    if (!raw) return {};
+    try { return JSON.parse(raw); } catch { throw new Error('body is not valid JSON'); }
+  };
+
+  const authorized = (req) => !requiredKey || (req.headers['x-api-key'] || '').toString() === requiredKey;
 
-  const server = http.createServer((req, res) => {
+  const queue = startJobQueue(runOnce, (job, run, error) => {
+    state.lastErr = error || null;
+    state.lastRun = {
+      ok: !error, runId: job.id, trigger: job.trigger, startedAt: job.startedAt,
+      finishedAt: new Date().toISOString(), error: error || undefined,
+    };
+  });
+
+  // schedules and webhooks are validated before listening: bad config should fail the container start
+  const schedules = loadSchedules();
+  const webhooks = loadWebhooks();
+  if (webhooks.length) log.info('idle', `${webhooks.length} webhook(s): ${webhooks.map(h => `${h.type}@${h.host} [${h.on.join(',')}]`).join(', ')}`);
+  const scheduler = schedules.length
+    ? startScheduler(schedules, async (params, s) => {
+      const { duplicate, job } = await queue.enqueue(params, `schedule:${s.name}`);
+      if (duplicate) log.warn('schedule', `${s.name}: same run already queued/running (${job.runId}) — not queued again`);
+      return true;
+    })
+    : null;
+
+  // load (and with MongoDB, seed) the merchant registry up front
+  refreshMerchants().catch((e) => log.warn('merchants', 'registry unavailable', { error: e?.message || String(e) }));
+
+  const server = http.createServer(async (req, res) => {
     const rawPath = req.url || '/';
     const pathOnly = rawPath.split('?')[0].replace(/\/+$/, '') || '/';
+    const query = new URLSearchParams(rawPath.split('?')[1] || '');
     const method = req.method || 'GET';
-    console.log(`[idle] ${method} ${rawPath} → ${pathOnly}`);
+    log.info('idle', `${method} ${rawPath} → ${pathOnly}`);
 
     // health/status
     if (method === 'GET' && (pathOnly === '/health' || pathOnly === '/status')) {
       return json(res, 200, {
         ok: true,
-        running: state.running,
+        running: queue.running,
+        queue: queue.status(),
         lastRun: state.lastRun,
         lastErr: state.lastErr,
+        schedules: scheduler ? scheduler.status() : [],
       });
     }
 
+    // Prometheus scrape (no auth: counters/timings only)
+    if (method === 'GET' && pathOnly === '/metrics') {
+      const q = queue.status();
+      res.statusCode = 200;
+      res.setHeader('content-type', 'text/plain; version=0.0.4; charset=utf-8');
+      return res.end(renderMetrics([
+        { name: 'queue_depth', help: 'Jobs waiting in the run queue', value: q.queued.length },
+        { name: 'run_in_progress', help: '1 while a run is executing', value: q.running ? 1 : 0 },
+      ]));
+    }
+
     if (method === 'GET' && pathOnly === '/last') {
       return json(res, 200, {
-        running: state.running,
+        running: queue.running,
         lastRun: state.lastRun,
         lastErr: state.lastErr,
       });
     }
 
+    // live progress (SSE): replays buffered events (after Last-Event-ID / ?after=),
+    // then streams until run.finished
+    const eventsMatch = pathOnly.match(/^\/runs\/([^/]+)\/events$/);
+    if (method === 'GET' && eventsMatch) {
+      if (!authorized(req)) return json(res, 401, { error: 'unauthorized' });
+      const id = pathParam(eventsMatch[1]);
+      if (id == null) return json(res, 400, { error: 'malformed run id' });
+      const after = Number(req.headers['last-event-id'] || query.get('after')) || 0;
+      const record = progressSince(id) ? null : await getRun(id).catch(() => null);
+      const backlog = progressSince(id, after);
+      if (!backlog && !record) return json(res, 404, { error: 'run not found', id });
+
+      res.writeHead(200, { 'content-type': 'text/event-stream', 'cache-control': 'no-cache', connection: 'keep-alive' });
+      const send = (ev) => res.write(`id: ${ev.id}\nevent: ${ev.type}\ndata: ${JSON.stringify(ev)}\n\n`);
+      if (!backlog && !['queued', 'running'].includes(record.status)) {
+        // finished before this process started (or its buffer was dropped): final state only
+        send({ id: 0, runId: id, at: record.finishedAt, type: 'run.finished', step: null, report: null,
+          status: record.status, error: record.error, failedStep: record.failedStep, durationMs: record.durationMs });
+        return res.end();
+      }
+      for (const ev of backlog?.events || []) send(ev);
+      if (backlog?.done) return res.end();
+
+      let closed = false;
+      const ping = setInterval(() => res.write(': ping\n\n'), 15_000);
+      const finish = () => {
+        if (closed) return;
+        closed = true;
+        off();
+        clearInterval(ping);
+        res.end();
+      };
+      const off = onProgress(id, (ev) => {
+        send(ev);
+        if (ev.type === 'run.finished') finish();
+      });
+      req.on('close', finish);
+      return;
+    }
+
+    // run history (x-api-key required if JOB_API_KEY is set — records hold recipients)
+    if (method === 'GET' && (pathOnly === '/runs' || pathOnly.startsWith('/runs/'))) {
+      if (!authorized(req)) return json(res, 401, { error: 'unauthorized' });
+      try {
+        if (pathOnly === '/runs') {
+          const page  = Math.max(1, parseInt(query.get('page'), 10) || 1);
+          const limit = Math.min(100, Math.max(1, parseInt(query.get('limit'), 10) || 20));
+          return json(res, 200, await listRuns({ page, limit }));
+        }
+        const id = decodeURIComponent(pathOnly.slice('/runs/'.length));
+        const run = await getRun(id);
+        return run ? json(res, 200, run) : json(res, 404, { error: 'run not found', id });
+      } catch (e) {
+        return json(res, 503, { error: 'run store unavailable', detail: e?.message || String(e) });
+      }
+    }
+
+    // manual MFA entry for a run paused on the manual provider
+    const mfaMatch = pathOnly.match(/^\/runs\/([^/]+)\/mfa$/);
+    if (method === 'POST' && mfaMatch) {
+      if (!authorized(req)) return json(res, 401, { error: 'unauthorized' });
+      let body;
+      try { body = await readJson(req); } catch (e) {
+        return json(res, 400, { error: e.message });
+      }
+      if (body == null || typeof body !== 'object' || Array.isArray(body)) return json(res, 400, { error: 'body must be a JSON object' });
+      const code = String(body.code ?? '').replace(/[\s-]/g, '');
+      if (!/^\d{4,10}$/.test(code)) return json(res, 400, { error: 'code must be 4–10 digits' });
+      const id = pathParam(mfaMatch[1]);
+      if (id == null) return json(res, 400, { error: 'malformed run id' });
+      if (!submitManualMfaCode(id, code)) return json(res, 409, { error: 'run is not waiting for an MFA code', id });
+      return json(res, 202, { ok: true, accepted: true, runId: id });
+    }
+
     // trigger run
     if (method === 'POST' && pathOnly === '/run') {
-      const key = (req.headers['x-api-key'] || '').toString();
-      if (requiredKey && key !== requiredKey) {
+      if (!authorized(req)) {
         return json(res, 401, { error: 'unauthorized' });
       }
-      if (state.running) {
-        // don’t error; acknowledge so callers don’t block
-        return json(res, 200, { ok: true, message: 'already running' });
+
+      let body;
+      try { body = await readJson(req); } catch (e) {
+        return json(res, 400, { error: e.message });
       }
+      const { params, errors } = validateRunParams(body);
+      if (errors.length) return json(res, 400, { error: 'invalid parameters', details: errors });
 
-      state.running = true;
-      state.lastErr = null;
-      const startedAt = new Date().toISOString();
+      // ACK immediately; the queue runs jobs one at a time in the background
+      const { job, duplicate } = await queue.enqueue(params, 'server');
+      return json(res, 202, { ok: true, accepted: true, duplicate, ...job });
+    }
 
-      // ACK immediately and do work in background
-      json(res, 202, { ok: true, accepted: true, startedAt });
+    // cancel a job that hasn't started yet
+    const cancelMatch = pathOnly.match(/^\/runs\/([^/]+)(\/cancel)?$/);
+    if (cancelMatch && (method === 'DELETE' || (method === 'POST' && cancelMatch[2]))) {
+      if (!authorized(req)) return json(res, 401, { error: 'unauthorized' });
+      const id = pathParam(cancelMatch[1]);
+      if (id == null) return json(res, 400, { error: 'malformed run id' });
+      const outcome = await queue.cancel(id);
+      if (outcome === 'cancelled') return json(res, 200, { ok: true, cancelled: true, runId: id });
+      if (outcome === 'running') return json(res, 409, { error: 'run already started — only queued jobs can be cancelled', id });
+      return json(res, 404, { error: 'no queued job with that id', id });
+    }
 
-      (async () => {
-        try {
-          await runOnce();
-          state.lastRun = { ok: true, startedAt, finishedAt: new Date().toISOString() };
-        } catch (e) {
-          const msg = e?.message || String(e);
-          state.lastErr = msg;
-          state.lastRun = { ok: false, startedAt, finishedAt: new Date().toISOString(), error: msg };
-          console.error('[idle/run] failed:', msg);
-        } finally {
-          state.running = false;
+    // merchant registry (x-api-key required if JOB_API_KEY is set — records hold recipients)
+    if (pathOnly === '/merchants' || pathOnly.startsWith('/merchants/')) {
+      if (!authorized(req)) return json(res, 401, { error: 'unauthorized' });
+      const mid = pathOnly.startsWith('/merchants/') ? pathParam(pathOnly.slice('/merchants/'.length)) : null;
+      if (mid == null && pathOnly !== '/merchants') return json(res, 400, { error: 'malformed MID' });
+      try {
+        if (method === 'POST' && mid === 'import') {
+          // text/csv body, or JSON { csv }; ?group= sets the group of rows that have none
+          let raw;
+          try { raw = await readText(req, 5 * 1024 * 1024); } catch (e) { return json(res, 400, { error: e.message }); }
+          let text = raw;
+          if (/json/i.test(req.headers['content-type'] || '')) {
+            try { text = String(JSON.parse(raw || '{}').csv || ''); } catch { return json(res, 400, { error: 'body is not valid JSON' }); }
+          }
+          if (!text) return json(res, 400, { error: 'empty CSV' });
+          let parsed;
+          try { parsed = merchantsFromCsv(text, query.get('group') ? { group: query.get('group') } : {}); } catch (e) {
+            return json(res, 400, { error: `CSV: ${e.message}` });
+          }
+          if (!parsed.merchants.length) return json(res, 400, { error: 'no merchants in CSV', details: parsed.errors });
+          const list = await writeMerchants({ upsert: parsed.merchants });
+          return json(res, 200, { ok: true, imported: parsed.merchants.length, skipped: parsed.errors, total: list.length });
         }
-      })();
 
-      return;
+        const list = await refreshMerchants();
+        const current = mid && list.find(m => m.mid === mid);
+
+        if (method === 'GET' && !mid) {
+          const active = query.get('active');
+          const items = list.filter(m => (!query.get('group') || m.group === query.get('group'))
+            && (!query.get('tag') || m.tags.includes(query.get('tag')))
+            && (active == null || m.active === bool(active, true)));
+          return json(res, 200, { total: items.length, items });
+        }
+        if (method === 'GET') return current ? json(res, 200, current) : json(res, 404, { error: 'merchant not found', mid });
+
+        if (method === 'POST' && !mid) {
+          let body;
+          try { body = await readJson(req); } catch (e) { return json(res, 400, { error: e.message }); }
+          const { merchant, errors } = validateMerchant(body);
+          if (errors.length) return json(res, 400, { error: 'invalid merchant', details: errors });
+          if (list.some(m => m.mid === merchant.mid)) return json(res, 409, { error: 'merchant already exists', mid: merchant.mid });
+          const after = await writeMerchants({ upsert: [merchant] });
+          return json(res, 201, after.find(m => m.mid === merchant.mid));
+        }
+
+        if (method === 'PATCH' && mid) {
+          if (!current) return json(res, 404, { error: 'merchant not found', mid });
+          let body;
+          try { body = await readJson(req); } catch (e) { return json(res, 400, { error: e.message }); }
+          const { merchant, errors } = validateMerchant(body, { partial: true });
+          if (merchant.mid && merchant.mid !== mid) errors.push('mid cannot be changed');
+          if (errors.length) return json(res, 400, { error: 'invalid merchant', details: errors });
+          const after = await writeMerchants({ upsert: [{ ...merchant, mid }] });
+          return json(res, 200, after.find(m => m.mid === mid));
+        }
+
+        if (method === 'DELETE' && mid) {
+          if (!current) return json(res, 404, { error: 'merchant not found', mid });
+          await writeMerchants({ remove: [mid] });
+          return json(res, 200, { ok: true, deleted: true, mid });
+        }
+      } catch (e) {
+        return json(res, 503, { error: 'merchant registry unavailable', detail: e?.message || String(e) });
+      }
     }
 
     return json(res, 404, { error: 'not found', path: pathOnly, method });
   });
 
+  server.on('close', () => { scheduler?.stop(); queue.stop(); });
   server.listen(port, () => {
-    console.log(`[idle] Trigger server listening on :${port}`);
-    console.log(`[idle] POST /run (x-api-key required if JOB_API_KEY is set) -> 202 Accepted`);
-    console.log(`[idle] GET  /health or /status`);
-    console.log(`[idle] GET  /last`);
+    log.info('idle', `Trigger server listening on :${port}`);
+    log.info('idle', `POST /run (x-api-key required if JOB_API_KEY is set) -> 202 { runId, position, duplicate } (queued FIFO)`);
+    log.info('idle', `     body (optional JSON): { start, end | mode, mids | group | tag | all, emailTo, format, splitBy, reports }`);
+    log.info('idle', `GET  /health or /status (incl. next scheduled runs)`);
+    log.info('idle', `GET  /last`);
+    log.info('idle', `GET  /metrics (Prometheus)`);
+    log.info('idle', `GET  /runs?page=&limit= and /runs/:id (x-api-key required if JOB_API_KEY is set)`);
+    log.info('idle', `GET  /runs/:id/events — live progress (text/event-stream)`);
+    log.info('idle', `DELETE /runs/:id (or POST /runs/:id/cancel) — cancel a queued job`);
+    log.info('idle', `POST /runs/:id/mfa { code } — MFA code for a run waiting on the manual provider`);
+    log.info('idle', `GET  /merchants?group=&tag=&active= | POST /merchants | GET/PATCH/DELETE /merchants/:mid`);
+    log.info('idle', `POST /merchants/import?group= (text/csv) — bulk import/update from the portal's merchant CSV`);
   });
 
   return server;
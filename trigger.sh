@@ -4,5 +4,5 @@ set -eu
 : "${JOB_API_KEY:?set JOB_API_KEY in the container env}"
 
 curl -fsS --retry 3 --retry-connrefused --max-time 60 \
-  -H "x-api-key:${JOB_API_KEY}" \
-  "http://127.0.0.1:${JOB_PORT}/run/"
+  -X POST -H "x-api-key:${JOB_API_KEY}" \
+  "http://127.0.0.1:${JOB_PORT}/run"